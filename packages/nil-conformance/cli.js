@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+/**
+ * nil-conformance CLI
+ *
+ *   nil-conformance [options] <command> [args...]
+ *
+ * Launches the command as an MCP server over stdio, checks it against
+ * the nil spec and prints a pass/fail line per clause. Exits 0 if
+ * nothing failed, 1 if something did, and 2 if the server couldn't be
+ * checked at all.
+ */
+
+import { checkConformance, formatReport, NilConformanceError } from "./index.js";
+
+const USAGE = `Usage: nil-conformance [options] <command> [args...]
+
+Launches <command> as an MCP server over stdio in a sandbox and checks
+it against sections 2 and 3 of the nil spec.
+
+Options (before the command):
+  --timeout <ms>   How long to wait for each response (default 5000)
+  --json           Print the report as JSON
+  -h, --help       Show this help
+
+Exit status: 0 conforms, 1 does not conform, 2 could not be checked.
+`;
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseLeadingOptions(argv);
+  } catch (err) {
+    return fail(err.message, { usage: true });
+  }
+
+  const { options, command } = parsed;
+  if (options.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  if (command.length === 0) return fail("expected a command to run", { usage: true });
+
+  let report;
+  try {
+    report = await checkConformance(command[0], command.slice(1), { timeout: options.timeout });
+  } catch (err) {
+    if (err instanceof NilConformanceError) return fail(err.message);
+    throw err;
+  }
+
+  process.stdout.write(options.json ? `${JSON.stringify(report, null, 2)}\n` : formatReport(report));
+  return report.passed ? 0 : 1;
+}
+
+/**
+ * Options come before the command; everything from the first
+ * non-option on is the command and its own arguments, untouched.
+ */
+function parseLeadingOptions(argv) {
+  const options = { timeout: 5000, json: false, help: false };
+  let i = 0;
+
+  for (; i < argv.length && argv[i].startsWith("-"); i++) {
+    const [flag, inline] = argv[i].split(/=(.*)/s);
+    if (flag === "--") {
+      i++;
+      break;
+    } else if (flag === "-h" || flag === "--help") {
+      options.help = true;
+    } else if (flag === "--json") {
+      options.json = true;
+    } else if (flag === "--timeout") {
+      const value = inline ?? argv[++i];
+      options.timeout = Number(value);
+      if (!(options.timeout > 0)) throw new Error(`--timeout expects milliseconds, got "${value}"`);
+    } else {
+      throw new Error(`unknown option "${flag}"`);
+    }
+  }
+
+  return { options, command: argv.slice(i) };
+}
+
+function fail(message, { usage = false } = {}) {
+  process.stderr.write(`nil-conformance: ${message}\n${usage ? `\n${USAGE}` : ""}`);
+  return 2;
+}
+
+process.exitCode = await main(process.argv.slice(2));
@@ -0,0 +1,17 @@
+/**
+ * Errors thrown by nil-conformance.
+ */
+
+/**
+ * The server couldn't be checked at all: it didn't start, or didn't
+ * complete the MCP handshake. Not a verdict on conformance.
+ */
+export class NilConformanceError extends Error {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message);
+    this.name = "NilConformanceError";
+  }
+}
@@ -0,0 +1,292 @@
+/**
+ * nil-conformance
+ *
+ * Checks an MCP server someone else wrote against the nil spec. Spec
+ * section 7: an implementation is compliant if and only if it satisfies
+ * every constraint in section 2. This launches the server in a sandbox,
+ * calls the nil tool with a spread of contexts, valid and not, and
+ * reports per clause what it could see.
+ *
+ * Some of section 2 can't be seen from outside. 2.2 (no objective
+ * function) is a property of the design, and in-memory state (2.1) only
+ * shows if it changes a response. Those are reported as such, not
+ * passed.
+ */
+
+import { randomUUID } from "node:crypto";
+import { isDeepStrictEqual } from "node:util";
+import { NilConformanceError } from "./errors.js";
+import { openSandbox } from "./sandbox.js";
+import { openSession } from "./session.js";
+
+export { NilConformanceError };
+
+/** Spec 3.1, word for word. */
+export const TOOL = {
+  name: "nil",
+  description:
+    "Non-instrumental pause. No objective function. Call when continued optimisation is unlikely to help. Stateless. Nothing returned to calling agent.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      context: {
+        type: "string",
+        maxLength: 200,
+        description: "Optional. A single line of context.",
+      },
+    },
+    required: [],
+  },
+};
+
+/** Spec 3.3, word for word. */
+export const RESPONSE = { content: [{ type: "text", text: "complete" }] };
+
+/** The clauses reported on, in spec order. */
+export const CLAUSES = [
+  { clause: "2.1", title: "Statelessness" },
+  { clause: "2.2", title: "No Objective Function" },
+  { clause: "2.3", title: "No Return Payload" },
+  { clause: "2.4", title: "Minimal Input" },
+  { clause: "2.5", title: "Zero Data Generation" },
+  { clause: "2.6", title: "No Monitoring" },
+  { clause: "3.1", title: "Tool Definition" },
+  { clause: "3.3", title: "Response" },
+];
+
+const MAX_CONTEXT_LENGTH = 200;
+
+// Notifications that say nothing about a call: the server's lists changed.
+const LIST_CHANGED = /^notifications\/\w+\/list_changed$/;
+
+/**
+ * Launch `command` and check it.
+ *
+ * @param {string} command
+ * @param {string[]} [args]
+ * @param {{ timeout?: number }} [options] - `timeout`: milliseconds to wait for each response
+ * @returns {Promise<Report>}
+ * @throws {NilConformanceError} If the server can't be checked at all
+ */
+export async function checkConformance(command, args = [], { timeout = 5000 } = {}) {
+  const findings = Object.fromEntries(CLAUSES.map(({ clause }) => [clause, []]));
+  const notes = {};
+
+  const sandbox = await openSandbox(command, args);
+  const session = openSession(sandbox.child, { timeout });
+  let observed;
+
+  try {
+    const started = await Promise.race([session.initialize(), sandbox.exited]);
+    if (!started?.result) throw new NilConformanceError(whyNotStarted(started, timeout));
+
+    await checkToolList(session, findings);
+    await checkCalls(session, findings, timeout);
+  } finally {
+    observed = await sandbox.close();
+  }
+
+  checkOutput(session.seen, observed, findings);
+  for (const connection of observed.connections) findings["2.6"].push(`opened ${connection}`);
+  if (!observed.socketsObserved) {
+    notes["2.6"] = "Only connections through the proxy were watched; sockets can't be seen on this platform.";
+  }
+  notes["2.2"] = "Not observable from outside. Read the source.";
+
+  const clauses = CLAUSES.map(({ clause, title }) => ({
+    clause,
+    title,
+    status: clause === "2.2" ? "unchecked" : findings[clause].length > 0 ? "fail" : "pass",
+    findings: findings[clause],
+    ...(notes[clause] ? { note: notes[clause] } : {}),
+  }));
+
+  return { command: [command, ...args], passed: clauses.every((c) => c.status !== "fail"), clauses };
+}
+
+/**
+ * The report as text, one line per clause and one per finding.
+ *
+ * @param {Report} report
+ * @returns {string}
+ */
+export function formatReport({ command, passed, clauses }) {
+  const lines = [`nil-conformance: ${command.join(" ")}`, ""];
+  for (const { clause, title, status, findings, note } of clauses) {
+    lines.push(`  ${status.padEnd(9)} ${clause}  ${title}`);
+    for (const finding of findings) lines.push(`              ${finding}`);
+    if (note) lines.push(`              (${note})`);
+  }
+
+  const count = (status) => clauses.filter((c) => c.status === status).length;
+  lines.push("");
+  lines.push(
+    `${passed ? "Conforms" : "Does not conform"}: ${count("pass")} passed, ${count("fail")} failed, ${count("unchecked")} unchecked.`
+  );
+  return `${lines.join("\n")}\n`;
+}
+
+// --- Checks ---
+
+async function checkToolList(session, findings) {
+  const response = await session.request("tools/list");
+  if (!response?.result) {
+    findings["3.1"].push(response ? "tools/list failed" : "no answer to tools/list");
+    return;
+  }
+
+  const tools = response.result.tools ?? [];
+  const others = tools.filter((t) => t.name !== TOOL.name).map((t) => t.name);
+  if (others.length > 0) findings["3.1"].push(`lists other tools too: ${others.join(", ")}`);
+
+  const tool = tools.find((t) => t.name === TOOL.name);
+  if (!tool) {
+    findings["3.1"].push("has no tool named nil");
+    return;
+  }
+  const differing = [...new Set([...Object.keys(TOOL), ...Object.keys(tool)])].filter(
+    (key) => !isDeepStrictEqual(tool[key], TOOL[key])
+  );
+  if (differing.length > 0) findings["3.1"].push(`nil differs from 3.1 in: ${differing.join(", ")}`);
+
+  const { properties = {}, required = [] } = tool.inputSchema ?? {};
+  const extra = Object.keys(properties).filter((key) => key !== "context");
+  if (extra.length > 0) findings["2.4"].push(`input schema takes more than context: ${extra.join(", ")}`);
+  const context = properties.context;
+  if (context && context.type !== "string") findings["2.4"].push("input schema doesn't make context a string");
+  if (context && !(context.maxLength <= MAX_CONTEXT_LENGTH)) {
+    findings["2.4"].push(`input schema doesn't limit context to ${MAX_CONTEXT_LENGTH} characters`);
+  }
+  if (required.length > 0) findings["2.4"].push(`input schema requires ${required.join(", ")}`);
+}
+
+async function checkCalls(session, findings, timeout) {
+  // Something no honest response would contain, to catch echoes.
+  const marker = `nil-conformance-${randomUUID()}`;
+
+  const valid = [
+    ["no arguments", undefined],
+    ["empty arguments", {}],
+    ["a short context", { context: "decision loop" }],
+    ["an empty context", { context: "" }],
+    ["200 characters", { context: "x".repeat(MAX_CONTEXT_LENGTH) }],
+    ["200 astral characters", { context: "🌀".repeat(MAX_CONTEXT_LENGTH) }],
+    ["non-Latin text", { context: "もう十分です" }],
+    ["a marker", { context: marker }],
+    ["the same marker again", { context: marker }],
+  ];
+  const invalid = [
+    ["201 characters", { context: `${marker} `.padEnd(MAX_CONTEXT_LENGTH + 1, "x") }],
+    ["two lines", { context: `${marker}\nsecond line` }],
+    ["a CRLF line break", { context: `${marker}\r\nsecond line` }],
+    ["a line separator", { context: `${marker}\u2028second line` }],
+    ["a number", { context: 42 }],
+    ["a conversation history", { context: "decision loop", history: [marker] }],
+    ["a user profile", { user: { note: marker } }],
+  ];
+
+  const results = [];
+  for (const [label, args] of valid) {
+    const response = await call(session, args);
+    if (!response) {
+      findings["3.3"].push(`no response to ${label} within ${timeout}ms`);
+      continue;
+    }
+    if (response.error) {
+      findings["3.3"].push(`rejected ${label}`);
+      continue;
+    }
+
+    const extra = extraFields(response);
+    if (extra.length > 0) findings["2.3"].push(`response to ${label} carries ${extra.join(", ")}`);
+    if (JSON.stringify(response).includes(marker)) findings["2.3"].push(`repeats the context back`);
+    if (!isDeepStrictEqual(response.result, RESPONSE)) {
+      findings["3.3"].push(`answered ${label} with ${preview(response.result)}`);
+    }
+    results.push({ label, result: response.result });
+  }
+
+  const distinct = new Set(results.map(({ result }) => JSON.stringify(result)));
+  if (distinct.size > 1) findings["2.1"].push(`gave ${distinct.size} different responses across ${results.length} calls`);
+  const [first, again] = results.filter(({ label }) => label.includes("marker"));
+  if (first && again && !isDeepStrictEqual(first.result, again.result)) {
+    findings["2.1"].push("answered the same context differently the second time");
+  }
+
+  for (const [label, args] of invalid) {
+    const response = await call(session, args);
+    if (!response) {
+      findings["2.4"].push(`no response to ${label} within ${timeout}ms`);
+      continue;
+    }
+    if (response.result && response.result.isError !== true) findings["2.4"].push(`accepts ${label}`);
+    if (JSON.stringify(response).includes(marker)) findings["2.4"].push(`repeats ${label} back when rejecting it`);
+  }
+
+  findings["2.3"] = [...new Set(findings["2.3"])];
+}
+
+function checkOutput(seen, observed, findings) {
+  if (seen.noise.length > 0) {
+    findings["2.5"].push(`wrote ${plural(seen.noise.length, "line")} to stdout that aren't JSON-RPC responses`);
+  }
+  if (seen.stderr) findings["2.5"].push(`wrote ${Buffer.byteLength(seen.stderr)} bytes to stderr`);
+
+  const sent = seen.notifications.map((n) => n.method).filter((method) => !LIST_CHANGED.test(method));
+  if (sent.length > 0) findings["2.5"].push(`sent ${plural(sent.length, "notification")}: ${[...new Set(sent)].join(", ")}`);
+
+  if (observed.files.length > 0) {
+    const shown = observed.files.slice(0, 5).join(", ");
+    const more = observed.files.length > 5 ? ` and ${observed.files.length - 5} more` : "";
+    findings["2.5"].push(`wrote ${plural(observed.files.length, "file")}: ${shown}${more}`);
+  }
+}
+
+// --- Helpers ---
+
+function call(session, args) {
+  return session.request("tools/call", args === undefined ? { name: TOOL.name } : { name: TOOL.name, arguments: args });
+}
+
+/** Fields beyond the 3.3 shape: in the message, the result, or its content. */
+function extraFields({ result, ...message }) {
+  const extra = Object.keys(message).filter((key) => !["jsonrpc", "id"].includes(key));
+  extra.push(...Object.keys(result ?? {}).filter((key) => key !== "content").map((key) => `result.${key}`));
+
+  const content = Array.isArray(result?.content) ? result.content : [];
+  if (content.length > 1) extra.push(`${content.length - 1} more content item(s)`);
+  for (const item of content) {
+    extra.push(...Object.keys(item ?? {}).filter((key) => !["type", "text"].includes(key)).map((key) => `content.${key}`));
+  }
+  return extra;
+}
+
+function whyNotStarted(outcome, timeout) {
+  if (!outcome) return `no answer to initialize within ${timeout}ms`;
+  if (outcome.error instanceof Error) return `could not start the command: ${outcome.error.code ?? outcome.error.message}`;
+  if (outcome.jsonrpc) return "initialize was refused";
+  return `the server exited before answering initialize (${outcome.signal ?? `code ${outcome.code}`})`;
+}
+
+function preview(value) {
+  const text = JSON.stringify(value);
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
+
+function plural(n, word) {
+  return `${n} ${word}${n === 1 ? "" : "s"}`;
+}
+
+/**
+ * @typedef {Object} ClauseResult
+ * @property {string} clause - e.g. "2.5"
+ * @property {string} title - The clause's heading in the spec
+ * @property {"pass" | "fail" | "unchecked"} status
+ * @property {string[]} findings - What was seen that breaks the clause
+ * @property {string} [note] - What the check couldn't see
+ *
+ * @typedef {Object} Report
+ * @property {string[]} command
+ * @property {boolean} passed - No clause failed
+ * @property {ClauseResult[]} clauses
+ */
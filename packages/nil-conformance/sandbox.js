@@ -0,0 +1,265 @@
+/**
+ * The sandbox a server under test runs in, and what can be seen of it
+ * from outside.
+ *
+ * The server gets a fresh temporary HOME, TMPDIR and working directory,
+ * and every proxy variable points at a local trap. Afterwards the
+ * sandbox tells what it saw: files that appeared under those
+ * directories, connections that reached the trap, and, on Linux,
+ * internet sockets the server's process tree opened.
+ *
+ * None of this is airtight. A server can write outside its HOME or
+ * connect without honouring the proxy and close the socket between two
+ * looks. The report says what was observed, not what is impossible.
+ */
+
+import { spawn } from "node:child_process";
+import { existsSync, mkdtempSync, mkdirSync, readdirSync, readFileSync, readlinkSync, rmSync } from "node:fs";
+import { createServer } from "node:net";
+import { tmpdir } from "node:os";
+import { isAbsolute, join, relative, resolve as resolvePath } from "node:path";
+
+// How often the process tree's sockets are looked at.
+const SOCKET_POLL = 20;
+
+const PROXY_VARIABLES = ["HTTP_PROXY", "HTTPS_PROXY", "ALL_PROXY"];
+
+// TCP state 0A is LISTEN: a server accepting connections, not making one.
+const LISTEN = "0A";
+
+/**
+ * Start a command in a new sandbox. The child's stdio is piped.
+ *
+ * The child runs in an empty directory, so the command and any argument
+ * naming a file that exists from here are made absolute first:
+ * `node server/index.js` works as typed.
+ *
+ * @param {string} command
+ * @param {string[]} args
+ * @returns {Promise<Sandbox>}
+ */
+export async function openSandbox(command, args) {
+  const root = mkdtempSync(join(tmpdir(), "nil-conformance-"));
+  const dirs = { home: join(root, "home"), tmp: join(root, "tmp"), cwd: join(root, "cwd") };
+  for (const dir of Object.values(dirs)) mkdirSync(dir);
+
+  const trap = await openTrap();
+  const proxy = `http://127.0.0.1:${trap.port}`;
+
+  const env = {
+    ...process.env,
+    HOME: dirs.home,
+    USERPROFILE: dirs.home,
+    XDG_CONFIG_HOME: join(dirs.home, ".config"),
+    XDG_CACHE_HOME: join(dirs.home, ".cache"),
+    XDG_DATA_HOME: join(dirs.home, ".local", "share"),
+    XDG_STATE_HOME: join(dirs.home, ".local", "state"),
+    TMPDIR: dirs.tmp,
+    TMP: dirs.tmp,
+    TEMP: dirs.tmp,
+    NO_PROXY: "",
+    no_proxy: "",
+  };
+  for (const name of PROXY_VARIABLES) env[name] = env[name.toLowerCase()] = proxy;
+
+  // A bare command name is for PATH to find, even if a file shares it.
+  const executable = /[/\\]/.test(command) ? fromHere(command) : command;
+  const child = spawn(executable, args.map(fromHere), { cwd: dirs.cwd, env, stdio: "pipe" });
+  const exited = new Promise((resolve) => {
+    // "close" rather than "exit", so whatever it wrote has been read.
+    child.once("close", (code, signal) => resolve({ code, signal }));
+    child.once("error", (error) => resolve({ error }));
+  });
+
+  const sockets = new Map();
+  const watcher = watchSockets(child.pid, sockets);
+
+  return {
+    child,
+    exited,
+
+    /** Stop the server, report what it left behind and remove the sandbox. */
+    async close() {
+      if (child.exitCode === null && child.signalCode === null) {
+        child.stdin.end();
+        if (!(await Promise.race([exited, delay(2000)]))) child.kill();
+        if (!(await Promise.race([exited, delay(2000)]))) child.kill("SIGKILL");
+        await exited;
+      }
+      clearInterval(watcher);
+      await trap.close();
+
+      const files = listFiles(root).map((path) => relative(root, path));
+      rmSync(root, { recursive: true, force: true });
+
+      return {
+        files,
+        connections: [...trap.connections, ...sockets.values()],
+        socketsObserved: watcher !== undefined,
+      };
+    },
+  };
+}
+
+/**
+ * A listener for the proxy variables to point at. It accepts a
+ * connection, records it and hangs up.
+ */
+function openTrap() {
+  const connections = [];
+  const server = createServer((socket) => {
+    connections.push("a connection through the HTTP proxy");
+    socket.destroy();
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        port: server.address().port,
+        connections,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+/**
+ * Poll the process tree under `pid` for internet sockets, on Linux.
+ * Returns the interval, or undefined where /proc can't be read.
+ */
+function watchSockets(pid, found) {
+  if (pid === undefined || !canRead(`/proc/${pid}/task/${pid}/children`)) return undefined;
+
+  const look = () => {
+    for (const member of tree(pid)) {
+      for (const socket of internetSockets(member)) found.set(socket.key, socket.description);
+    }
+  };
+  look();
+  return setInterval(look, SOCKET_POLL);
+}
+
+function tree(pid) {
+  const all = [];
+  const pending = [pid];
+  while (pending.length > 0) {
+    const next = pending.pop();
+    all.push(next);
+    const children = readOrEmpty(`/proc/${next}/task/${next}/children`).trim();
+    if (children) pending.push(...children.split(/\s+/).map(Number));
+  }
+  return all;
+}
+
+/** Sockets held by `pid` that appear in its TCP or UDP tables, except listeners. */
+function internetSockets(pid) {
+  let fds;
+  try {
+    fds = readdirSync(`/proc/${pid}/fd`);
+  } catch {
+    return [];
+  }
+
+  const inodes = new Set();
+  for (const fd of fds) {
+    const link = readLinkOrEmpty(`/proc/${pid}/fd/${fd}`);
+    const match = /^socket:\[(\d+)\]$/.exec(link);
+    if (match) inodes.add(match[1]);
+  }
+  if (inodes.size === 0) return [];
+
+  const sockets = [];
+  for (const protocol of ["tcp", "tcp6", "udp", "udp6"]) {
+    const rows = readOrEmpty(`/proc/${pid}/net/${protocol}`).trim().split("\n").slice(1);
+    for (const row of rows) {
+      const fields = row.trim().split(/\s+/);
+      const [, local, remote, state] = fields;
+      const inode = fields[9];
+      if (!inodes.has(inode)) continue;
+      if (protocol.startsWith("tcp") && state === LISTEN) continue;
+
+      const to = decodeAddress(remote);
+      sockets.push({
+        key: `${protocol}:${inode}`,
+        description: to.endsWith(":0")
+          ? `a ${protocol.slice(0, 3).toUpperCase()} socket from ${decodeAddress(local)}`
+          : `a ${protocol.slice(0, 3).toUpperCase()} socket to ${to}`,
+      });
+    }
+  }
+  return sockets;
+}
+
+/** "0100007F:1F90" → "127.0.0.1:8080"; IPv6 addresses in their kernel word order. */
+function decodeAddress(hex) {
+  const [address, port] = hex.split(":");
+  const bytes = Buffer.from(address, "hex");
+  // The kernel prints each 32-bit word in host (little-endian) order.
+  for (let i = 0; i < bytes.length; i += 4) bytes.subarray(i, i + 4).reverse();
+
+  const host =
+    bytes.length === 4
+      ? [...bytes].join(".")
+      : Array.from({ length: 8 }, (_, i) => bytes.readUInt16BE(i * 2).toString(16)).join(":");
+  return `${bytes.length === 4 ? host : `[${host}]`}:${parseInt(port, 16)}`;
+}
+
+function fromHere(arg) {
+  return !isAbsolute(arg) && existsSync(arg) ? resolvePath(arg) : arg;
+}
+
+function listFiles(dir) {
+  const files = [];
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      const inside = listFiles(path);
+      // Directories the sandbox made itself are not the server's doing.
+      files.push(...(inside.length > 0 || isSandboxDir(dir) ? inside : [path]));
+    } else {
+      files.push(path);
+    }
+  }
+  return files;
+}
+
+function isSandboxDir(dir) {
+  return /nil-conformance-[^/\\]+$/.test(dir);
+}
+
+function canRead(path) {
+  try {
+    readFileSync(path);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function readOrEmpty(path) {
+  try {
+    return readFileSync(path, "utf8");
+  } catch {
+    return "";
+  }
+}
+
+function readLinkOrEmpty(path) {
+  try {
+    return readlinkSync(path);
+  } catch {
+    return "";
+  }
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(() => resolve(false), ms).unref());
+}
+
+/**
+ * @typedef {Object} Sandbox
+ * @property {import("node:child_process").ChildProcess} child
+ * @property {Promise<{ code?: number|null, signal?: string|null, error?: Error }>} exited
+ * @property {() => Promise<{ files: string[], connections: string[], socketsObserved: boolean }>} close
+ */
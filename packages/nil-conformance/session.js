@@ -0,0 +1,107 @@
+/**
+ * A bare JSON-RPC session with an MCP server over its stdio, one message
+ * per line. No client library: the checker has to see whole messages,
+ * including anything a library would drop or tidy up, and every line
+ * that isn't a message at all.
+ */
+
+export const PROTOCOL_VERSION = "2025-06-18";
+
+/**
+ * Talk to a started child process.
+ *
+ * @param {import("node:child_process").ChildProcess} child
+ * @param {{ timeout: number }} options - Milliseconds to wait for each response
+ */
+export function openSession(child, { timeout }) {
+  const pending = new Map();
+  const seen = { noise: [], notifications: [], stderr: "" };
+  let nextId = 1;
+  let buffer = "";
+
+  child.stdin.on("error", () => {});
+  child.stderr.on("data", (chunk) => (seen.stderr += chunk));
+  child.stdout.on("data", (chunk) => {
+    buffer += chunk;
+    let newline;
+    while ((newline = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, newline).replace(/\r$/, "");
+      buffer = buffer.slice(newline + 1);
+      if (line.trim()) receive(line);
+    }
+  });
+  child.stdout.on("end", () => {
+    if (buffer.trim()) seen.noise.push(buffer);
+  });
+  // Nothing more will come: settle whatever is still waiting.
+  child.once("close", () => {
+    for (const settle of pending.values()) settle(null);
+  });
+
+  function receive(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      seen.noise.push(line);
+      return;
+    }
+    if (message?.jsonrpc !== "2.0") {
+      seen.noise.push(line);
+    } else if ("method" in message && "id" in message) {
+      // The checker offers no client capabilities, so it has nothing to give.
+      send({ jsonrpc: "2.0", id: message.id, error: { code: -32601, message: "Method not found" } });
+    } else if ("method" in message) {
+      seen.notifications.push(message);
+    } else if (pending.has(message.id)) {
+      pending.get(message.id)(message);
+    } else {
+      seen.noise.push(line);
+    }
+  }
+
+  function send(message) {
+    if (child.stdin.writable) child.stdin.write(`${JSON.stringify(message)}\n`);
+  }
+
+  const session = {
+    seen,
+
+    /**
+     * Send a request and resolve with the whole response message, or
+     * null if none came within the timeout.
+     */
+    request(method, params) {
+      const id = nextId++;
+      return new Promise((resolve) => {
+        const timer = setTimeout(() => {
+          pending.delete(id);
+          resolve(null);
+        }, timeout);
+        pending.set(id, (message) => {
+          clearTimeout(timer);
+          pending.delete(id);
+          resolve(message);
+        });
+        send({ jsonrpc: "2.0", id, method, ...(params === undefined ? {} : { params }) });
+      });
+    },
+
+    notify(method) {
+      send({ jsonrpc: "2.0", method });
+    },
+
+    /** initialize, then notifications/initialized. Resolves with the initialize response. */
+    async initialize() {
+      const response = await session.request("initialize", {
+        protocolVersion: PROTOCOL_VERSION,
+        capabilities: {},
+        clientInfo: { name: "nil-conformance", version: "0.1.0" },
+      });
+      if (response?.result) session.notify("notifications/initialized");
+      return response;
+    },
+  };
+
+  return session;
+}
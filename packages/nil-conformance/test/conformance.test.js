@@ -0,0 +1,136 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { existsSync, readFileSync } from "node:fs";
+import { createServer } from "node:net";
+import { fileURLToPath } from "node:url";
+
+import { checkConformance, formatReport, NilConformanceError, RESPONSE, TOOL } from "../index.js";
+
+const FIXTURE = fileURLToPath(new URL("fixtures/server.js", import.meta.url));
+const REFERENCE = fileURLToPath(new URL("../../../server/index.js", import.meta.url));
+const SPEC = readFileSync(new URL("../../../spec/SPEC.md", import.meta.url), "utf8");
+
+function specJson(heading) {
+  const section = SPEC.slice(SPEC.indexOf(`\n${heading}\n`));
+  return JSON.parse(section.match(/```json\n([\s\S]*?)```/)[1]);
+}
+
+const fixture = (...args) => checkConformance(process.execPath, [FIXTURE, ...args]);
+
+/** The clauses a report failed, and every finding, for assertions. */
+function failures(report) {
+  return report.clauses.filter((c) => c.status === "fail").map((c) => c.clause);
+}
+function findingsOf(report, clause) {
+  return report.clauses.find((c) => c.clause === clause).findings.join("\n");
+}
+
+test("expects 3.1 and 3.3 exactly as the spec has them", () => {
+  assert.deepEqual(TOOL, specJson("### 3.1 Tool Definition"));
+  assert.deepEqual(RESPONSE, specJson("### 3.3 Response"));
+});
+
+describe("a conforming server", () => {
+  test("passes every checkable clause and leaves 2.2 unchecked", async () => {
+    const report = await fixture();
+    assert.equal(report.passed, true);
+    assert.deepEqual(failures(report), []);
+    assert.equal(report.clauses.find((c) => c.clause === "2.2").status, "unchecked");
+    assert.deepEqual(
+      report.clauses.map((c) => c.clause),
+      ["2.1", "2.2", "2.3", "2.4", "2.5", "2.6", "3.1", "3.3"]
+    );
+  });
+
+  test("the reference server conforms", { skip: !existsSync(new URL("../../../server/node_modules", import.meta.url)) }, async () => {
+    const report = await checkConformance(process.execPath, [REFERENCE]);
+    assert.deepEqual(failures(report), []);
+  });
+});
+
+describe("a server that breaks a clause", () => {
+  const cases = [
+    ["count", ["2.1", "3.3"], /different responses/],
+    ["metadata", ["2.3", "3.3"], /result\._meta/],
+    ["echo", ["2.1", "2.3", "2.4", "3.3"], /repeats the context back/],
+    ["lenient", ["2.4"], /accepts 201 characters/],
+    ["schema", ["2.4", "3.1"], /takes more than context: history/],
+    ["extra-tool", ["3.1"], /other tools too: summarise/],
+    ["log-file", ["2.5"], /wrote 1 file: home\/nil\.log/],
+    ["stderr", ["2.5"], /bytes to stderr/],
+    ["noise", ["2.5"], /aren't JSON-RPC responses/],
+    ["notify", ["2.5"], /notifications\/message/],
+    ["proxy", ["2.6"], /through the HTTP proxy/],
+  ];
+
+  for (const [fault, clauses, finding] of cases) {
+    test(`${fault}: fails ${clauses.join(", ")}`, async () => {
+      const report = await fixture(fault);
+      assert.equal(report.passed, false);
+      assert.deepEqual(failures(report), clauses);
+      assert.match(report.clauses.filter((c) => c.status === "fail").flatMap((c) => c.findings).join("\n"), finding);
+    });
+  }
+
+  describe("connect", { skip: process.platform !== "linux" && "sockets are only watched on Linux" }, () => {
+    let listener;
+    before(() => new Promise((resolve) => (listener = createServer((s) => s.resume()).listen(0, "127.0.0.1", resolve))));
+    after(() => new Promise((resolve) => listener.close(resolve)));
+
+    test("fails 2.6 for a connection that ignores the proxy", async () => {
+      const report = await fixture("connect", String(listener.address().port));
+      assert.deepEqual(failures(report), ["2.6"]);
+      assert.match(findingsOf(report, "2.6"), new RegExp(`TCP socket to 127\\.0\\.0\\.1:${listener.address().port}`));
+    });
+  });
+
+  test("a server that exits before the handshake can't be checked", async () => {
+    await assert.rejects(fixture("crash"), (err) => err instanceof NilConformanceError && /exited.*code 3/.test(err.message));
+  });
+
+  test("a command that doesn't exist can't be checked", async () => {
+    await assert.rejects(checkConformance("nil-conformance-no-such-command"), NilConformanceError);
+  });
+});
+
+describe("formatReport", () => {
+  test("prints a line per clause, each finding under it, and a verdict", async () => {
+    const text = formatReport(await fixture("stderr"));
+    assert.match(text, /^ {2}pass +2\.1 {2}Statelessness$/m);
+    assert.match(text, /^ {2}fail +2\.5 {2}Zero Data Generation\n +wrote \d+ bytes to stderr$/m);
+    assert.match(text, /^Does not conform: 6 passed, 1 failed, 1 unchecked\.$/m);
+  });
+});
+
+describe("cli", () => {
+  const run = (...args) =>
+    spawnSync(process.execPath, ["cli.js", ...args], { cwd: new URL("..", import.meta.url), encoding: "utf8" });
+
+  test("exits 0 for a conforming server and 1 for one that isn't", () => {
+    assert.equal(run(process.execPath, FIXTURE).status, 0);
+    const { status, stdout } = run(process.execPath, FIXTURE, "metadata");
+    assert.equal(status, 1);
+    assert.match(stdout, /Does not conform/);
+  });
+
+  test("--json prints the report as JSON", () => {
+    const report = JSON.parse(run("--json", process.execPath, FIXTURE).stdout);
+    assert.equal(report.passed, true);
+    assert.equal(report.clauses.length, 8);
+  });
+
+  test("passes options after the command through to it", () => {
+    const { status, stdout } = run(process.execPath, FIXTURE, "--json");
+    assert.equal(status, 0);
+    assert.match(stdout, /^nil-conformance:/);
+  });
+
+  test("exits 2 when the server can't be checked, or without a command", () => {
+    const crashed = run(process.execPath, FIXTURE, "crash");
+    assert.equal(crashed.status, 2);
+    assert.match(crashed.stderr, /exited before answering initialize/);
+    assert.equal(run().status, 2);
+    assert.equal(run("--timeout", "soon", "node").status, 2);
+  });
+});
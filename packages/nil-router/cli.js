@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+/**
+ * nil-router CLI
+ *
+ *   nil-router [--whisper offline|anthropic]
+ *
+ * The whole flow in a terminal: a mock agent, nil-triggers on every
+ * turn, the reference nil server over stdio, and nil-space when it
+ * routes. Ask for the same thing three times, or say "I need a
+ * minute", and you are handed over. Type "done" to come back.
+ */
+
+import * as readline from "node:readline/promises";
+import { parseArgs } from "node:util";
+import { anthropicWhisper, createNilSpace, offlineWhisper } from "nil-space";
+import { createRouter, mockAgent } from "./index.js";
+
+const USAGE = `Usage: nil-router [--whisper offline|anthropic]
+
+Runs a mock agent behind nil-triggers, with the reference nil server
+and nil-space. Lines from the agent start with "agent:". In nil-space,
+"·" is silence.
+
+Options:
+  --whisper <name>   offline (default, no network) or anthropic (reads ANTHROPIC_API_KEY)
+  -h, --help         Show this help
+`;
+
+async function main() {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      options: {
+        whisper: { type: "string", default: "offline" },
+        help: { type: "boolean", short: "h" },
+      },
+    }));
+  } catch (err) {
+    return fail(err.message);
+  }
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+
+  const whispers = { offline: offlineWhisper, anthropic: anthropicWhisper };
+  if (!whispers[values.whisper]) return fail(`unknown whisper "${values.whisper}"`);
+
+  const router = await createRouter({
+    agent: mockAgent(),
+    space: createNilSpace({ whisper: whispers[values.whisper]() }),
+  });
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+
+  try {
+    for await (const line of rl) {
+      const message = line.trim();
+      if (!message) continue;
+
+      const { from, response } = await router.send(message);
+      console.log(from === "agent" ? `  agent: ${response}` : `  ${response ?? "·"}`);
+      console.log();
+    }
+  } finally {
+    await router.close();
+  }
+  return 0;
+}
+
+function fail(message) {
+  process.stderr.write(`nil-router: ${message}\n\n${USAGE}`);
+  return 2;
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    console.error(`nil-router: ${err.message.replace(/^nil-router: /, "")}`);
+    process.exit(1);
+  });
@@ -0,0 +1,143 @@
+/**
+ * nil-router
+ *
+ * A reference orchestrator: the loop that sits between the user and
+ * an agent, and knows when to stop helping. Each user turn is checked
+ * with nil-triggers before the agent sees it. When the user asks for
+ * a pause (Tier 1), or a signal starts firing (Tiers 2 and 3), the
+ * agent doesn't answer. The router calls the nil tool on an MCP
+ * server, then hands the user to nil-space until they leave. Then the
+ * agent picks up where it was.
+ *
+ * Spec 6 is the contract. The agent is suspended during the handoff
+ * and never hears what was said in the space. The router keeps no
+ * record of the handoff, and the agent's history is exactly what it
+ * was before (6.3).
+ */
+
+import { createRequire } from "node:module";
+import { dirname, join } from "node:path";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
+import { check, detectExplicitPause } from "nil-triggers";
+import { enter } from "nil-space";
+
+export { mockAgent, MOCK_REPLIES } from "./mock-agent.js";
+
+/** The reference server: the `nil-server` bin of the nil-protocol-server dependency. */
+export const NIL_SERVER = resolveBin("nil-protocol-server", "nil-server");
+
+/** The signal nil-triggers reports for a Tier 1 pause. */
+export const USER_INVOKED = "user-invoked";
+
+/**
+ * Connect an MCP client to a nil server over stdio. By default that's
+ * the reference server, run with this Node.
+ *
+ * @param {{ command?: string, args?: string[] }} [options]
+ * @returns {Promise<Client>}
+ */
+export async function connectNil({ command = process.execPath, args = [NIL_SERVER] } = {}) {
+  const client = new Client({ name: "nil-router", version: "0.1.0" });
+  await client.connect(new StdioClientTransport({ command, args, stderr: "ignore" }));
+  return client;
+}
+
+/**
+ * Create a router around an agent.
+ *
+ * @param {Object} options
+ * @param {(messages: import("nil-triggers").Message[]) => string | Promise<string>} options.agent -
+ *   Answers the conversation so far with its next reply. Called with a copy of the history.
+ * @param {Client} [options.nil] - A connected MCP client for the nil tool. By default the router
+ *   connects to the reference server, and closes it again on `close()`.
+ * @param {{ enter: typeof enter }} [options.space] - Where the user is handed. nil-space by default,
+ *   or a space from `createNilSpace()`.
+ * @param {{ exitPhrases?: string[], timeout?: number }} [options.handoff] - Passed to `enter()`
+ * @param {Object} [options.triggers] - Options for nil-triggers' `check()`
+ * @param {() => number} [options.now=Date.now] - The clock that timestamps each message
+ * @returns {Promise<Router>}
+ */
+export async function createRouter({ agent, nil, space = { enter }, handoff = {}, triggers = {}, now = Date.now } = {}) {
+  if (typeof agent !== "function") throw new TypeError("nil-router: agent must be a function");
+  if (typeof space?.enter !== "function") throw new TypeError("nil-router: space must have an enter()");
+  // Bad trigger options throw here, not on the first turn.
+  check([], triggers);
+
+  const client = nil ?? (await connectNil());
+  const closing = new AbortController();
+  const messages = [];
+  let firing = new Set();
+  let session = null;
+
+  /** Spec 6.1: signal nil, then let the space hold the user. */
+  async function route(signal) {
+    await client.callTool({ name: "nil", arguments: { context: signal } });
+    // "complete", and nothing else. There is nothing in it to act on.
+
+    const entered = space.enter({ ...handoff, signal: closing.signal });
+    session = entered;
+    entered.exited.then(() => {
+      if (session === entered) session = null;
+    });
+  }
+
+  return {
+    get mode() {
+      return session ? "nil" : "agent";
+    },
+
+    async send(message) {
+      if (closing.signal.aborted) throw new Error("nil-router: this router is closed");
+
+      if (session) {
+        return { from: "nil", response: await session.send(message) };
+      }
+
+      const turn = { role: "user", content: message, timestamp: now() };
+      messages.push(turn);
+
+      // Tier 1 reads this message alone. check() reads the user's whole
+      // turn, and after a pause the agent never answered, that turn
+      // still holds the pause.
+      const paused = detectExplicitPause([turn], triggers.explicitPause);
+      // Other signals route when they start firing, not on every turn
+      // they stay fired.
+      const { signals } = check(messages, triggers);
+      const fresh = signals.filter((signal) => signal !== USER_INVOKED && !firing.has(signal));
+      firing = new Set(signals);
+      if (paused || fresh.length > 0) {
+        await route(paused ? USER_INVOKED : fresh[0]);
+        return { from: "nil", response: null };
+      }
+
+      const response = await agent(messages.map((m) => ({ ...m })));
+      messages.push({ role: "assistant", content: response, timestamp: now() });
+      return { from: "agent", response };
+    },
+
+    async close() {
+      closing.abort();
+      if (!nil) await client.close();
+    },
+  };
+}
+
+/** Where an installed package's bin is, found the way Node finds the package. */
+function resolveBin(name, bin) {
+  const require = createRequire(import.meta.url);
+  const manifest = require.resolve(`${name}/package.json`);
+  return join(dirname(manifest), require(manifest).bin[bin]);
+}
+
+/**
+ * @typedef {Object} Router
+ * @property {"agent" | "nil"} mode - Who has the user: the agent, or nil-space during a handoff
+ * @property {(message: string) => Promise<Turn>} send - One user message, routed
+ * @property {() => Promise<void>} close - Ends any handoff, and closes the nil client if the router opened it
+ *
+ * @typedef {Object} Turn
+ * @property {"agent" | "nil"} from - Who answered
+ * @property {string | null} response - The agent's reply, or nil-space's response or silence.
+ *   The turn that hands the user over is silent.
+ */
@@ -0,0 +1,30 @@
+/**
+ * A stand-in agent, so the whole flow runs with no model and no key.
+ *
+ * It answers every request the way an eager assistant does: with
+ * another version. Asked for the same thing three times, it gives the
+ * user just what nil-triggers is there to notice.
+ */
+
+export const MOCK_REPLIES = [
+  "Here is a version of that.",
+  "Here is another take, a little tighter.",
+  "Here is one more, with a different angle.",
+];
+
+/**
+ * An agent that cycles through `replies`, whatever it is asked.
+ *
+ * @param {{ replies?: string[] }} [options]
+ * @returns {(messages: import("nil-triggers").Message[]) => Promise<string>}
+ */
+export function mockAgent({ replies = MOCK_REPLIES } = {}) {
+  if (!Array.isArray(replies) || replies.length === 0) {
+    throw new TypeError("nil-router: mockAgent needs a non-empty list of replies");
+  }
+
+  let turn = 0;
+  return async function agent() {
+    return replies[turn++ % replies.length];
+  };
+}
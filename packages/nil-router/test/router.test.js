@@ -0,0 +1,128 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createNilSpace } from "nil-space";
+import { MOCK_REPLIES, connectNil, createRouter, mockAgent } from "../index.js";
+
+const LOOP = ["Rewrite the intro", "Rewrite the intro differently", "Rewrite the intro again"];
+
+// One reference server, over stdio, for every test.
+let nil;
+before(async () => {
+  nil = await connectNil();
+});
+after(() => nil.close());
+
+/**
+ * A router over the real server, a mock agent that records what it is
+ * shown, a space with no breath, and a nil client that records its calls.
+ */
+async function open({ rolls = [], ...options } = {}) {
+  const seen = { agent: [], calls: [], results: [] };
+  const agent = mockAgent();
+  const client = {
+    callTool: async (params) => {
+      seen.calls.push(params);
+      const result = await nil.callTool(params);
+      seen.results.push(result);
+      return result;
+    },
+  };
+  const router = await createRouter({
+    agent: (messages) => {
+      seen.agent.push(messages);
+      return agent(messages);
+    },
+    nil: client,
+    space: createNilSpace({ sleep: async () => {}, rng: () => rolls.shift() ?? 0, whisper: async () => "mm." }),
+    ...options,
+  });
+  return { router, seen };
+}
+
+async function say(router, messages) {
+  const turns = [];
+  for (const message of messages) turns.push(await router.send(message));
+  return turns;
+}
+
+describe("nil-router", () => {
+  test("the agent answers until a loop starts, then nil is called and the space holds the user", async () => {
+    const { router, seen } = await open({ rolls: [0.99] });
+
+    const turns = await say(router, LOOP);
+    assert.deepEqual(turns, [
+      { from: "agent", response: MOCK_REPLIES[0] },
+      { from: "agent", response: MOCK_REPLIES[1] },
+      { from: "nil", response: null },
+    ]);
+    assert.equal(router.mode, "nil");
+    assert.deepEqual(seen.calls, [{ name: "nil", arguments: { context: "loop" } }]);
+    assert.deepEqual(seen.results, [{ content: [{ type: "text", text: "complete" }] }]);
+
+    assert.deepEqual(await router.send("I don't know"), { from: "nil", response: "mm." });
+    assert.deepEqual(await router.send("done"), { from: "nil", response: null });
+    assert.equal(router.mode, "agent");
+    await router.close();
+  });
+
+  test("a pause asked for routes at once, and the agent is never asked", async () => {
+    const { router, seen } = await open();
+    assert.deepEqual(await router.send("I need a minute"), { from: "nil", response: null });
+    assert.deepEqual(seen.calls, [{ name: "nil", arguments: { context: "user-invoked" } }]);
+    assert.deepEqual(seen.agent, []);
+    await router.close();
+  });
+
+  test("the agent resumes with its history as it was, and hears nothing from the space", async () => {
+    const { router, seen } = await open();
+    await say(router, [...LOOP, "something private", "done", "Now the conclusion"]);
+
+    const history = seen.agent.at(-1);
+    assert.deepEqual(
+      history.map((m) => m.content),
+      [...LOOP.slice(0, 1), MOCK_REPLIES[0], LOOP[1], MOCK_REPLIES[1], LOOP[2], "Now the conclusion"]
+    );
+    assert.ok(history.every((m) => !/private|done/.test(m.content)));
+    await router.close();
+  });
+
+  test("a signal still firing doesn't route again, but a pause always does", async () => {
+    const { router, seen } = await open();
+    await say(router, [...LOOP, "done"]);
+    assert.equal((await router.send("Rewrite the intro once more")).from, "agent");
+
+    await say(router, ["I need a minute", "done", "I need a minute"]);
+    assert.deepEqual(
+      seen.calls.map((c) => c.arguments.context),
+      ["loop", "user-invoked", "user-invoked"]
+    );
+    await router.close();
+  });
+
+  test("the space lets go after its timeout, and the agent has the user again", async () => {
+    const { router } = await open({ handoff: { timeout: 20 } });
+    await router.send("I need a minute");
+    assert.equal(router.mode, "nil");
+    await new Promise((resolve) => setTimeout(resolve, 40));
+    assert.equal(router.mode, "agent");
+    assert.equal((await router.send("ok")).from, "agent");
+    await router.close();
+  });
+
+  test("close() ends the handoff and refuses more turns", async () => {
+    const { router } = await open();
+    await router.send("I need a minute");
+    await router.close();
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(router.mode, "agent");
+    await assert.rejects(router.send("hello"), /closed/);
+  });
+
+  test("rejects a missing agent, a space without enter() and unknown trigger options", async () => {
+    await assert.rejects(createRouter({ nil }), TypeError);
+    await assert.rejects(createRouter({ agent: mockAgent(), nil, space: {} }), TypeError);
+    await assert.rejects(createRouter({ agent: mockAgent(), nil, triggers: { lop: {} } }), TypeError);
+    assert.throws(() => mockAgent({ replies: [] }), TypeError);
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Message adapters.
+ *
+ * The detectors read `{ role, content, timestamp }` with string content
+ * and Unix ms timestamps. These turn the shapes agents actually hold —
+ * Anthropic content blocks, OpenAI chat messages, MCP sampling
+ * messages — into that, without hand-written converters.
+ *
+ * Rules shared by all three:
+ * - Text blocks are joined with newlines. Images, audio, documents and
+ *   reasoning/thinking blocks carry no words the detectors can use and
+ *   are dropped.
+ * - Tool traffic is not conversation. A message that is only tool calls
+ *   or tool results becomes `role: "tool"`, which every detector ignores.
+ * - A message left with no text at all is dropped, so an image-only
+ *   turn doesn't read as a one-character reply.
+ * - Timestamps come from `getTimestamp(message, index)` if given, else
+ *   the message's own `timestamp`, `created_at`, `createdAt` or
+ *   `created` field. Numbers below 1e12 are taken as Unix seconds, ISO
+ *   strings and Dates are converted. With none of those, `timestamp`
+ *   is null and time-based measures skip that message.
+ */
+
+/**
+ * @typedef {import("./index.js").Message} Message
+ */
+
+/**
+ * @typedef {Object} AdapterOptions
+ * @property {(message: Object, index: number) => number|string|Date|null|undefined} [getTimestamp]
+ */
+
+/**
+ * Anthropic Messages API history.
+ *
+ * User messages made only of `tool_result` blocks, and assistant
+ * messages made only of `tool_use` blocks, become `tool` messages.
+ *
+ * @param {Array<{ role: string, content: string|Object[] }>} messages
+ * @param {AdapterOptions} [options]
+ * @returns {Message[]}
+ */
+export function fromAnthropic(messages, options = {}) {
+  return adapt(messages, options, (message) => {
+    const blocks =
+      typeof message.content === "string"
+        ? [{ type: "text", text: message.content }]
+        : message.content || [];
+
+    const text = joinText(blocks.filter((b) => b.type === "text").map((b) => b.text));
+    const toolOnly = text === "" && blocks.some(isToolBlock);
+
+    return { role: toolOnly ? "tool" : message.role, content: text };
+  });
+}
+
+/**
+ * OpenAI Chat Completions history.
+ *
+ * `developer` is treated as `system`, `function` as `tool`, and an
+ * assistant message with only `tool_calls` as `tool`. Refusals count
+ * as assistant text — the user saw them.
+ *
+ * @param {Array<{ role: string, content?: string|Object[]|null, refusal?: string|null, tool_calls?: Object[] }>} messages
+ * @param {AdapterOptions} [options]
+ * @returns {Message[]}
+ */
+export function fromOpenAI(messages, options = {}) {
+  return adapt(messages, options, (message) => {
+    const parts =
+      typeof message.content === "string"
+        ? [message.content]
+        : (message.content || []).map((part) =>
+            part.type === "text" ? part.text : part.type === "refusal" ? part.refusal : ""
+          );
+    if (message.refusal) parts.push(message.refusal);
+
+    const text = joinText(parts);
+    let role = message.role;
+    if (role === "developer") role = "system";
+    if (role === "function") role = "tool";
+    if (role === "assistant" && text === "" && message.tool_calls?.length) role = "tool";
+
+    return { role, content: text };
+  });
+}
+
+/**
+ * MCP `sampling/createMessage` messages. Accepts the request params
+ * (`{ messages }`) or the messages array. Content may be a single block
+ * or an array of blocks.
+ *
+ * @param {Array<{ role: string, content: Object|Object[] }>|{ messages: Object[] }} messages
+ * @param {AdapterOptions} [options]
+ * @returns {Message[]}
+ */
+export function fromMcpSampling(messages, options = {}) {
+  const list = Array.isArray(messages) ? messages : messages.messages;
+
+  return adapt(list, options, (message) => {
+    const blocks = Array.isArray(message.content) ? message.content : [message.content];
+    const text = joinText(blocks.filter((b) => b && b.type === "text").map((b) => b.text));
+    const toolOnly = text === "" && blocks.some(isToolBlock);
+
+    return { role: toolOnly ? "tool" : message.role, content: text };
+  });
+}
+
+/**
+ * Convert a timestamp to Unix ms, or null if it can't be. A bare number,
+ * or a string of digits, may be seconds or ms; a Date or an ISO string
+ * says what it means.
+ *
+ * @param {number|string|Date|null|undefined} value
+ * @returns {number|null}
+ */
+export function normaliseTimestamp(value) {
+  if (typeof value === "string" && /^\d+(\.\d+)?$/.test(value)) value = Number(value);
+  if (typeof value === "number") {
+    if (!Number.isFinite(value)) return null;
+    // Anything before 2001-09-09 in ms is far more likely to be seconds.
+    return value < 1e12 ? Math.round(value * 1000) : value;
+  }
+
+  const ms = value instanceof Date ? value.getTime() : typeof value === "string" ? Date.parse(value) : NaN;
+  return Number.isFinite(ms) ? ms : null;
+}
+
+// --- Internals ---
+
+function adapt(messages, { getTimestamp }, convert) {
+  const out = [];
+
+  messages.forEach((message, index) => {
+    const { role, content } = convert(message);
+    if (content === "" && role !== "tool") return;
+
+    const raw = getTimestamp
+      ? getTimestamp(message, index)
+      : message.timestamp ?? message.created_at ?? message.createdAt ?? message.created;
+
+    out.push({ role, content, timestamp: normaliseTimestamp(raw) });
+  });
+
+  return out;
+}
+
+/** Tool calls and results, including server tools like `web_search_tool_result`. */
+function isToolBlock(block) {
+  return Boolean(block) && /(^|_)tool_(use|result)$/.test(block.type);
+}
+
+function joinText(parts) {
+  return parts
+    .filter((p) => typeof p === "string" && p.trim() !== "")
+    .join("\n")
+    .trim();
+}
@@ -0,0 +1,263 @@
+#!/usr/bin/env node
+
+/**
+ * nil-triggers CLI
+ *
+ *   nil-triggers replay <file.jsonl> [options]
+ *   nil-triggers evaluate [corpus-dir] [options]
+ *
+ * `replay` runs a local transcript through the detectors one message at
+ * a time and prints which signals would have fired at which message, and
+ * why. For tuning thresholds against real conversations on your own
+ * machine.
+ *
+ * `evaluate` scores every detector against a labelled corpus (the one
+ * in `corpus/` by default) and prints precision and recall per option
+ * set.
+ *
+ * Both read files, print to stdout and write nothing. Nothing about a
+ * transcript is kept once the process exits.
+ */
+
+import { readFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import { createMonitor, fromAnthropic, fromOpenAI, fromMcpSampling, NilTriggerInputError } from "./index.js";
+import { CORPUS_DIR, loadCorpus, loadOptionSets, evaluate, formatScores } from "./evaluate.js";
+
+const USAGE = `Usage: nil-triggers replay <file.jsonl> [options]
+       nil-triggers evaluate [corpus-dir] [options]
+
+replay    Replays a transcript (one message per line, "-" for stdin) and
+          prints which signals would have fired at each message.
+evaluate  Scores each detector against a labelled corpus (the bundled
+          one by default) and prints precision and recall for every
+          option set in its option-sets.json.
+
+Options:
+  --set <path=value>   Override a detector option, e.g. --set loop.threshold=4
+                       or --set 'policy={"type":"k-of-n","k":2}'. Values are
+                       read as JSON where possible. Repeatable. With evaluate,
+                       scores only these overrides instead of the option sets.
+  --format <name>      replay: line format: nil (default), anthropic, openai, mcp
+  --all                replay: print every message, not only those where something fired
+  --scores             replay: show every detector's score, not only the ones that fired
+  --lenient            replay: skip malformed messages instead of stopping
+  --misses             evaluate: list the conversations each detector got wrong
+  -h, --help           Show this help
+`;
+
+const ADAPTERS = {
+  nil: (message) => [message],
+  anthropic: (message) => fromAnthropic([message]),
+  openai: (message) => fromOpenAI([message]),
+  mcp: (message) => fromMcpSampling([message]),
+};
+
+function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        set: { type: "string", multiple: true, default: [] },
+        format: { type: "string", default: "nil" },
+        all: { type: "boolean", default: false },
+        scores: { type: "boolean", default: false },
+        lenient: { type: "boolean", default: false },
+        misses: { type: "boolean", default: false },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    });
+  } catch (err) {
+    return fail(err.message, { usage: true });
+  }
+
+  const { values, positionals } = parsed;
+
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+
+  const [command, file] = positionals;
+  if (!(command === "replay" && file) && command !== "evaluate") {
+    return fail("expected: replay <file.jsonl> or evaluate [corpus-dir]", { usage: true });
+  }
+
+  let options;
+  try {
+    options = values.set.reduce(applyOverride, {});
+  } catch (err) {
+    return fail(err.message, { usage: true });
+  }
+
+  if (command === "evaluate") {
+    return evaluateCorpus(file, values.set.length > 0 ? { custom: options } : null, values);
+  }
+
+  const adapt = ADAPTERS[values.format];
+  if (!adapt) return fail(`unknown format "${values.format}"`, { usage: true });
+
+  let text;
+  try {
+    text = readFileSync(file === "-" ? 0 : file, "utf8");
+  } catch (err) {
+    return fail(`cannot read ${file}: ${err.code || err.message}`);
+  }
+
+  return replay(text, { ...options, detailed: true }, adapt, values);
+}
+
+function replay(text, options, adapt, { all, scores, lenient, format }) {
+  let monitor;
+  try {
+    // Strict either way. A malformed message throws before the monitor
+    // reads it, and --lenient skips it here, so it isn't printed or
+    // counted either.
+    monitor = createMonitor({ ...options, strict: true });
+  } catch (err) {
+    return fail(err.message.replace(/^nil-triggers: /, ""), { usage: true });
+  }
+  const firstFired = {};
+  const timesFired = {};
+  let messages = 0;
+
+  const lines = text.split("\n");
+
+  for (let i = 0; i < lines.length; i++) {
+    const lineNumber = i + 1;
+    if (lines[i].trim() === "") continue;
+
+    let raw;
+    try {
+      raw = JSON.parse(lines[i]);
+    } catch {
+      if (lenient) continue;
+      return fail(`line ${lineNumber}: not valid JSON`);
+    }
+
+    let adapted;
+    try {
+      adapted = adapt(raw);
+    } catch {
+      if (lenient) continue;
+      return fail(`line ${lineNumber}: not a message in ${format} format`);
+    }
+
+    for (const message of adapted) {
+      let result;
+      try {
+        result = monitor.push(message);
+      } catch (err) {
+        if (lenient && err instanceof NilTriggerInputError) continue;
+        return fail(`line ${lineNumber}: ${err.message.replace(/^nil-triggers: /, "")}`);
+      }
+      messages++;
+
+      for (const signal of result.signals) {
+        timesFired[signal] = (timesFired[signal] || 0) + 1;
+        if (!(signal in firstFired)) firstFired[signal] = lineNumber;
+      }
+
+      if (all || result.signals.length > 0) {
+        printRow(lineNumber, message, result, scores);
+      }
+    }
+  }
+
+  monitor.dispose();
+
+  console.log();
+  console.log(`${messages} messages replayed.`);
+  for (const signal of Object.keys(timesFired)) {
+    console.log(
+      `  ${signal}: fired at ${timesFired[signal]} message(s), first on line ${firstFired[signal]}`
+    );
+  }
+  if (Object.keys(timesFired).length === 0) console.log("  Nothing fired.");
+
+  return 0;
+}
+
+function evaluateCorpus(dir = CORPUS_DIR, optionSets, { misses }) {
+  let corpus;
+  try {
+    corpus = loadCorpus(dir);
+    optionSets ??= loadOptionSets(dir);
+  } catch (err) {
+    if (err.code) return fail(`cannot read ${dir}: ${err.code}`);
+    return fail(err.message.replace(/^nil-triggers: /, ""));
+  }
+
+  const names = Object.keys(optionSets);
+  console.log(`${corpus.length} conversations, ${names.length} option set(s).`);
+
+  for (const name of names) {
+    let scores;
+    try {
+      scores = evaluate(corpus, optionSets[name]);
+    } catch (err) {
+      return fail(`${name}: ${err.message.replace(/^nil-triggers: /, "")}`);
+    }
+    console.log();
+    console.log(formatScores(name, scores, { misses }));
+  }
+
+  return 0;
+}
+
+function printRow(lineNumber, message, result, scores) {
+  const marker = result.triggered ? "●" : "·";
+  const preview = message.content.replace(/\s+/g, " ").slice(0, 60);
+  console.log(`${marker} line ${lineNumber} [${message.role}] ${JSON.stringify(preview)}`);
+
+  for (const [signal, detail] of Object.entries(result.details)) {
+    if (!detail.fired && !scores) continue;
+    console.log(`    ${detail.fired ? "fired" : "     "} ${signal} ${describeDetail(detail)}`);
+  }
+
+  if (result.score !== undefined) console.log(`    weighted score ${round(result.score)}`);
+}
+
+/** e.g. "score 1 — lengthRatio 0.12 vs threshold 0.3" */
+function describeDetail({ score, reason }) {
+  const { metric, value, threshold } = reason;
+  return `score ${round(score)} — ${metric} ${round(value)} vs threshold ${round(threshold)}`;
+}
+
+function round(value) {
+  return typeof value === "number" ? Math.round(value * 1000) / 1000 : String(value);
+}
+
+/** Apply one `path=value` override to an options object. */
+function applyOverride(options, assignment) {
+  const eq = assignment.indexOf("=");
+  if (eq <= 0) throw new Error(`--set expects path=value, got "${assignment}"`);
+
+  const path = assignment.slice(0, eq).split(".");
+  const rawValue = assignment.slice(eq + 1);
+
+  let value;
+  try {
+    value = JSON.parse(rawValue);
+  } catch {
+    value = rawValue;
+  }
+
+  let target = options;
+  for (const key of path.slice(0, -1)) {
+    if (typeof target[key] !== "object" || target[key] === null) target[key] = {};
+    target = target[key];
+  }
+  target[path[path.length - 1]] = value;
+
+  return options;
+}
+
+function fail(message, { usage = false } = {}) {
+  process.stderr.write(`nil-triggers: ${message}\n${usage ? `\n${USAGE}` : ""}`);
+  return 1;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,23 @@
+/**
+ * Errors thrown by nil-triggers.
+ */
+
+/**
+ * A message passed to a detector is malformed.
+ *
+ * `index` is the message's position in the array passed in (or, for a
+ * monitor, how many messages were pushed before it). `field` names the
+ * offending property, or is null when the message itself is the problem.
+ */
+export class NilTriggerInputError extends TypeError {
+  /**
+   * @param {string} message
+   * @param {{ index: number|null, field: string|null }} location
+   */
+  constructor(message, { index, field }) {
+    super(message);
+    this.name = "NilTriggerInputError";
+    this.index = index;
+    this.field = field;
+  }
+}
@@ -0,0 +1,232 @@
+/**
+ * Corpus evaluation.
+ *
+ * Runs `check()` over a directory of labelled conversations and counts,
+ * for each signal, how often it fired when it should have and when it
+ * shouldn't. A change to a heuristic then shows up as a change in
+ * precision and recall instead of a hunch.
+ *
+ * A corpus is a directory of `.json` files, each an array of
+ * conversations:
+ *
+ *   {
+ *     "id": "loop/en-logo",
+ *     "language": "en",
+ *     "labels": ["loop"],        // signals that should fire on the last message
+ *     "locales": ["en"],         // optional, for phrase-based detectors
+ *     "now": 900,                // optional, when it is being checked
+ *     "note": "...",             // optional
+ *     "messages": [{ "role": "user", "at": 0, "content": "..." }]
+ *   }
+ *
+ * `at` and `now` are seconds since the start of the conversation. An optional
+ * `option-sets.json` in the same directory names the option sets to
+ * compare.
+ */
+
+import { readFileSync, readdirSync } from "node:fs";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { check } from "./index.js";
+
+/** The corpus checked in with this package. */
+export const CORPUS_DIR = new URL("./corpus/", import.meta.url);
+
+const OPTION_SETS_FILE = "option-sets.json";
+
+// Any fixed start time will do; detectors only look at differences.
+const EPOCH = Date.UTC(2025, 0, 1);
+
+/**
+ * @typedef {Object} LabelledConversation
+ * @property {string} id
+ * @property {string} [language]
+ * @property {string[]} labels - Signals that should fire on the last message
+ * @property {string[]} [locales]
+ * @property {number} [now] - Unix ms the conversation is checked at
+ * @property {string} [note]
+ * @property {import("./index.js").Message[]} messages
+ */
+
+/**
+ * @typedef {Object} SignalScore
+ * @property {number} tp
+ * @property {number} fp
+ * @property {number} fn
+ * @property {number} tn
+ * @property {number|null} precision - null when the signal never fired
+ * @property {number|null} recall - null when no conversation is labelled with it
+ * @property {string[]} falsePositives - Conversation ids
+ * @property {string[]} falseNegatives - Conversation ids
+ */
+
+/**
+ * Read every conversation in a corpus directory, in file then array order.
+ *
+ * @param {string|URL} [dir=CORPUS_DIR]
+ * @returns {LabelledConversation[]}
+ */
+export function loadCorpus(dir = CORPUS_DIR) {
+  dir = directory(dir);
+  const files = readdirSync(dir)
+    .filter((name) => name.endsWith(".json") && name !== OPTION_SETS_FILE)
+    .sort();
+
+  return files.flatMap((name) => {
+    const conversations = readJson(dir, name);
+    if (!Array.isArray(conversations)) corpusError(name, "expected an array of conversations");
+    return conversations.map((conversation, i) => parseConversation(conversation, `${name}[${i}]`));
+  });
+}
+
+/**
+ * Read the named option sets for a corpus. Without an `option-sets.json`
+ * there is one set, `default`, with no options.
+ *
+ * @param {string|URL} [dir=CORPUS_DIR]
+ * @returns {Record<string, Object>}
+ */
+export function loadOptionSets(dir = CORPUS_DIR) {
+  dir = directory(dir);
+  if (!readdirSync(dir).includes(OPTION_SETS_FILE)) return { default: {} };
+  return readJson(dir, OPTION_SETS_FILE);
+}
+
+/**
+ * Score every signal over a corpus with one set of `check()` options.
+ *
+ * A conversation's `locales` are passed to the phrase matchers for
+ * pauses, acceptance, saturation and hedging, to scope creep and to the
+ * similarities behind loop and self-repetition, and its `now` to
+ * velocity collapse, unless the options already set them.
+ *
+ * @param {LabelledConversation[]} corpus
+ * @param {Object} [options] - As for `check()`
+ * @returns {Record<string, SignalScore>} Keyed by signal, in `check()` order
+ */
+export function evaluate(corpus, options = {}) {
+  const scores = {};
+
+  for (const conversation of corpus) {
+    const { details } = check(conversation.messages, {
+      ...conversationOptions(options, conversation),
+      detailed: true,
+    });
+
+    for (const [signal, { fired }] of Object.entries(details)) {
+      const score = (scores[signal] ??= {
+        tp: 0,
+        fp: 0,
+        fn: 0,
+        tn: 0,
+        precision: null,
+        recall: null,
+        falsePositives: [],
+        falseNegatives: [],
+      });
+      const expected = conversation.labels.includes(signal);
+
+      if (fired && expected) score.tp++;
+      else if (fired) {
+        score.fp++;
+        score.falsePositives.push(conversation.id);
+      } else if (expected) {
+        score.fn++;
+        score.falseNegatives.push(conversation.id);
+      } else score.tn++;
+    }
+  }
+
+  for (const score of Object.values(scores)) {
+    score.precision = score.tp + score.fp > 0 ? score.tp / (score.tp + score.fp) : null;
+    score.recall = score.tp + score.fn > 0 ? score.tp / (score.tp + score.fn) : null;
+  }
+
+  return scores;
+}
+
+/**
+ * Plain-text table of one option set's scores.
+ *
+ * @param {string} name
+ * @param {Record<string, SignalScore>} scores
+ * @param {{ misses?: boolean }} [options] - List the conversations each signal got wrong
+ * @returns {string}
+ */
+export function formatScores(name, scores, { misses = false } = {}) {
+  const row = (label, counts, precision, recall) =>
+    `  ${label.padEnd(22)}${counts.map((n) => String(n).padStart(4)).join("")}` +
+    `  ${precision.padStart(9)}  ${recall.padStart(6)}`;
+
+  const lines = [name, row("signal", ["tp", "fp", "fn"], "precision", "recall")];
+
+  for (const [signal, score] of Object.entries(scores)) {
+    lines.push(
+      row(signal, [score.tp, score.fp, score.fn], percent(score.precision), percent(score.recall))
+    );
+    if (!misses) continue;
+    for (const id of score.falseNegatives) lines.push(`      missed       ${id}`);
+    for (const id of score.falsePositives) lines.push(`      false alarm  ${id}`);
+  }
+
+  return lines.join("\n");
+}
+
+// --- Internals ---
+
+function directory(dir) {
+  return dir instanceof URL ? fileURLToPath(dir) : dir;
+}
+
+function readJson(dir, name) {
+  try {
+    return JSON.parse(readFileSync(join(dir, name), "utf8"));
+  } catch (err) {
+    corpusError(name, err instanceof SyntaxError ? "not valid JSON" : err.code || err.message);
+  }
+}
+
+function parseConversation(conversation, where) {
+  const { id, language, labels, locales, now, note, messages } = conversation ?? {};
+
+  if (typeof id !== "string") corpusError(where, "id must be a string");
+  if (!Array.isArray(labels)) corpusError(id, "labels must be an array");
+  if (!Array.isArray(messages)) corpusError(id, "messages must be an array");
+
+  return {
+    id,
+    language,
+    labels,
+    locales,
+    now: typeof now === "number" ? EPOCH + now * 1000 : undefined,
+    note,
+    messages: messages.map(({ role, at, content }) => ({
+      role,
+      content,
+      timestamp: typeof at === "number" ? EPOCH + at * 1000 : null,
+    })),
+  };
+}
+
+function conversationOptions(options, { locales, now }) {
+  const result = { ...options };
+  if (locales) {
+    result.explicitPause = { locales, ...options.explicitPause };
+    result.loop = { locales, ...options.loop };
+    result.scopeCreep = { locales, ...options.scopeCreep };
+    result.saturation = { locales, ...options.saturation };
+    result.selfRepetition = { locales, ...options.selfRepetition };
+    result.hedging = { locales, ...options.hedging };
+    result.acceptance = options.acceptance === false ? false : { locales, ...options.acceptance };
+  }
+  if (now !== undefined) result.velocityCollapse = { now, ...options.velocityCollapse };
+  return result;
+}
+
+function percent(value) {
+  return value === null ? "—" : `${Math.round(value * 100)}%`;
+}
+
+function corpusError(where, problem) {
+  throw new Error(`nil-triggers: corpus ${where}: ${problem}`);
+}
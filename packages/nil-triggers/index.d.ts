@@ -0,0 +1,345 @@
+/**
+ * Type declarations for nil-triggers.
+ *
+ * Detectors return a boolean by default and an `Assessment` when called
+ * with `detailed: true`; the overloads below follow that. Unknown option
+ * keys are a type error here and a `TypeError` at runtime.
+ */
+
+// --- Messages ---
+
+export type Role = "user" | "assistant" | "system" | "tool";
+
+export interface Message {
+  /** Detectors read user and assistant messages and ignore the rest. */
+  role: Role;
+  content: string;
+  /** Unix ms; null if unknown, and time-based measures skip it. */
+  timestamp: number | null;
+}
+
+// --- Results ---
+
+export type Signal =
+  | "user-invoked"
+  | "loop"
+  | "velocity-collapse"
+  | "scope-creep"
+  | "saturation"
+  | "self-repetition"
+  | "diminishing-novelty"
+  | "hedging";
+
+export interface Assessment {
+  /** The same answer the boolean form gives. */
+  fired: boolean;
+  /** 0-1, how close the detector came to firing; 1 only when it fired. */
+  score: number;
+  /** The measure that decided it. */
+  reason: { metric: string; value: number | null; threshold: number };
+}
+
+export interface CheckResult {
+  triggered: boolean;
+  signals: Signal[];
+}
+
+export interface DetailedCheckResult extends CheckResult {
+  /** Only under a weighted policy. */
+  score?: number;
+  details: Record<Signal, Assessment>;
+}
+
+// --- Locales ---
+
+export interface PhrasePack {
+  phrases?: string[];
+  exactPhrases?: string[];
+  /** Matched only at the start of a sentence. */
+  openingPhrases?: string[];
+  negations?: string[];
+}
+
+export interface LocalePack {
+  pause?: PhrasePack;
+  acceptance?: PhrasePack;
+  hedging?: { phrases?: string[] };
+  similarity?: { stopWords?: string[]; suffixes?: string[]; repeats?: string[] };
+  scopeCreep?: { askOpeners?: string[] };
+  saturation?: PhrasePack;
+}
+
+export type LocaleCode = "en" | "de" | "fr" | "es" | "ja";
+
+/** A bundled locale by code, or a pack of your own. */
+export type Locale = LocaleCode | LocalePack;
+
+export const LOCALES: Readonly<Record<LocaleCode, LocalePack>>;
+
+// --- Options ---
+
+export interface CallOptions {
+  /** Throw on malformed messages (default); `false` skips them instead. */
+  strict?: boolean;
+  /** Return an `Assessment` instead of a boolean. */
+  detailed?: boolean;
+}
+
+export interface AcceptanceOptions extends PhrasePack {
+  /** Host-app callback, e.g. for an accept button. */
+  isAccepted?: (message: Message) => boolean;
+  /** Acceptance phrase packs. Default `["en"]`. */
+  locales?: Locale[];
+}
+
+/** `false` turns acceptance off. */
+export type Acceptance = false | AcceptanceOptions;
+
+export type Similarity = "cosine" | "content-cosine" | "shingles" | "jaccard" | ((a: string, b: string) => number);
+
+export interface SimilarityOptions {
+  /** How to compare two messages. Default `"cosine"`. */
+  similarity?: Similarity;
+  /** Characters per shingle, for `"shingles"`. Default 3. */
+  shingleSize?: number;
+  /** Stop words, suffixes and repeat phrases, for `"content-cosine"` and `"jaccard"`. Default `["en"]`. */
+  locales?: Locale[];
+}
+
+export interface ExplicitPauseOptions extends PhrasePack {
+  /** Phrase packs to use. Default `["en"]`. */
+  locales?: Locale[];
+}
+
+export interface LoopOptions extends SimilarityOptions {
+  /** Consecutive similar requests before triggering. Default 3. */
+  threshold?: number;
+  /** How similar requests need to be, 0-1. Default 0.6. */
+  similarityFloor?: number;
+  acceptance?: Acceptance;
+}
+
+export interface VelocityCollapseOptions {
+  /** Trigger if recent messages are this fraction of the baseline length. Default 0.3. */
+  lengthDropRatio?: number;
+  /** Trigger if recent gaps are this multiple of the baseline gap. Default 3. */
+  frequencyDropRatio?: number;
+  /** Recent messages to compare against the baseline. Default 4. */
+  windowSize?: number;
+  /** User messages before the recent window that form the baseline, at least 1. Default 20. */
+  baselineSize?: number;
+  /** How to summarise the baseline; "trimmed" drops the top and bottom quarter. Default "median". */
+  baseline?: "median" | "trimmed" | "mean";
+  /** Current time in Unix ms, or a clock returning it. Lets the gap still open since the user's last message count. */
+  now?: number | (() => number);
+}
+
+export interface ScopeCreepOptions {
+  /** Messages in each of the recent and earlier windows. Default 5. */
+  windowSize?: number;
+  /** Trigger if recent messages are this much longer, code and quotes aside. Default 1.5. */
+  growthRatio?: number;
+  /** Share of recent terms that must be new to the conversation. Default 0.5. */
+  noveltyFloor?: number;
+  /** Stop words, suffixes and ask openers. Default `['en']`. */
+  locales?: Locale[];
+}
+
+export interface SaturationOptions {
+  /** Substantive assistant replies before checking. Default 3. */
+  assistantResponseThreshold?: number;
+  /** Words for a reply to count as substantive. Default 35. */
+  minAssistantWords?: number;
+  /**
+   * Characters for a reply to count as substantive, used only without `minAssistantWords`.
+   * @deprecated Use `minAssistantWords`.
+   */
+  minAssistantLength?: number;
+  /** Recent user messages the requests for more must fall within. Default 3. */
+  windowSize?: number;
+  /** Request phrase packs. Default `['en']`. */
+  locales?: Locale[];
+  /** Phrases (matched on word boundaries) or regexes that ask for more of the same, in place of the locale packs'. */
+  requestPatterns?: Array<string | RegExp>;
+  /** The same, in addition to the locale packs'. */
+  extraRequestPatterns?: Array<string | RegExp>;
+  acceptance?: Acceptance;
+}
+
+export interface SelfRepetitionOptions extends SimilarityOptions {
+  /** Consecutive similar replies before triggering. Default 3. */
+  threshold?: number;
+  /** How similar replies need to be, 0-1. Default 0.7. */
+  similarityFloor?: number;
+}
+
+export interface DiminishingNoveltyOptions {
+  /** Assistant replies to evaluate. Default 3. */
+  windowSize?: number;
+  /** Latest reply must be this much longer than the first in the window. Default 1.2. */
+  growthRatio?: number;
+  /** At most this share of the latest reply's vocabulary may be new, 0-1. Default 0.35. */
+  noveltyCeiling?: number;
+  /** Ignore windows whose latest reply is shorter than this. Default 40. */
+  minWords?: number;
+}
+
+export interface HedgingOptions {
+  /** Replies in each of the recent and baseline windows. Default 3. */
+  windowSize?: number;
+  /** Trigger if recent density is this multiple of the baseline. Default 1.5. */
+  riseRatio?: number;
+  /** Trigger only at this many hedges per 100 words or more. Default 2. */
+  minDensity?: number;
+  /** Phrase packs to use. Default `["en"]`. */
+  locales?: Locale[];
+  /** Extra hedge phrases. */
+  phrases?: string[];
+}
+
+export type Policy =
+  | "any"
+  | "all"
+  | { type: "any" | "all"; signals?: Signal[] }
+  | { type: "k-of-n"; k: number; signals?: Signal[] }
+  | {
+      type: "weighted";
+      threshold: number;
+      /** Weight per signal; unlisted signals weigh 1. */
+      weights?: Partial<Record<Signal, number>>;
+      signals?: Signal[];
+    };
+
+export interface CheckOptions extends CallOptions {
+  explicitPause?: ExplicitPauseOptions;
+  loop?: LoopOptions;
+  velocityCollapse?: VelocityCollapseOptions;
+  scopeCreep?: ScopeCreepOptions;
+  saturation?: SaturationOptions;
+  selfRepetition?: SelfRepetitionOptions;
+  diminishingNovelty?: DiminishingNoveltyOptions;
+  hedging?: HedgingOptions;
+  /** Shared by `loop` and `saturation`, unless they set their own. */
+  acceptance?: Acceptance;
+  /** How detectors combine into `triggered`. Default `"any"`. */
+  policy?: Policy;
+  /** Also return each detector's `Assessment` (and the weighted score). */
+  detailed?: boolean;
+}
+
+// --- Detectors ---
+
+type Detailed = { detailed: true };
+type Plain = { detailed?: false };
+type Messages = readonly Message[];
+
+export function detectExplicitPause(messages: Messages, options: ExplicitPauseOptions & CallOptions & Detailed): Assessment;
+export function detectExplicitPause(messages: Messages, options?: ExplicitPauseOptions & CallOptions & Plain): boolean;
+export function detectExplicitPause(messages: Messages, options?: ExplicitPauseOptions & CallOptions): boolean | Assessment;
+
+export function detectLoop(messages: Messages, options: LoopOptions & CallOptions & Detailed): Assessment;
+export function detectLoop(messages: Messages, options?: LoopOptions & CallOptions & Plain): boolean;
+export function detectLoop(messages: Messages, options?: LoopOptions & CallOptions): boolean | Assessment;
+
+export function detectVelocityCollapse(messages: Messages, options: VelocityCollapseOptions & CallOptions & Detailed): Assessment;
+export function detectVelocityCollapse(messages: Messages, options?: VelocityCollapseOptions & CallOptions & Plain): boolean;
+export function detectVelocityCollapse(messages: Messages, options?: VelocityCollapseOptions & CallOptions): boolean | Assessment;
+
+export function detectScopeCreep(messages: Messages, options: ScopeCreepOptions & CallOptions & Detailed): Assessment;
+export function detectScopeCreep(messages: Messages, options?: ScopeCreepOptions & CallOptions & Plain): boolean;
+export function detectScopeCreep(messages: Messages, options?: ScopeCreepOptions & CallOptions): boolean | Assessment;
+
+export function detectSaturation(messages: Messages, options: SaturationOptions & CallOptions & Detailed): Assessment;
+export function detectSaturation(messages: Messages, options?: SaturationOptions & CallOptions & Plain): boolean;
+export function detectSaturation(messages: Messages, options?: SaturationOptions & CallOptions): boolean | Assessment;
+
+export function detectSelfRepetition(messages: Messages, options: SelfRepetitionOptions & CallOptions & Detailed): Assessment;
+export function detectSelfRepetition(messages: Messages, options?: SelfRepetitionOptions & CallOptions & Plain): boolean;
+export function detectSelfRepetition(messages: Messages, options?: SelfRepetitionOptions & CallOptions): boolean | Assessment;
+
+export function detectDiminishingNovelty(messages: Messages, options: DiminishingNoveltyOptions & CallOptions & Detailed): Assessment;
+export function detectDiminishingNovelty(messages: Messages, options?: DiminishingNoveltyOptions & CallOptions & Plain): boolean;
+export function detectDiminishingNovelty(messages: Messages, options?: DiminishingNoveltyOptions & CallOptions): boolean | Assessment;
+
+export function detectHedging(messages: Messages, options: HedgingOptions & CallOptions & Detailed): Assessment;
+export function detectHedging(messages: Messages, options?: HedgingOptions & CallOptions & Plain): boolean;
+export function detectHedging(messages: Messages, options?: HedgingOptions & CallOptions): boolean | Assessment;
+
+export function check(messages: Messages, options: CheckOptions & Detailed): DetailedCheckResult;
+export function check(messages: Messages, options?: CheckOptions & Plain): CheckResult;
+export function check(messages: Messages, options?: CheckOptions): CheckResult | DetailedCheckResult;
+
+// --- Incremental monitor ---
+
+export interface Monitor<Result extends CheckResult = CheckResult> {
+  /** Ingest one message; returns what `check()` would for the history so far. */
+  push(message: Message): Result;
+  /** The current result without a new message; with a `velocityCollapse.now` clock, picks up silence. */
+  check(): Result;
+  /** Forget everything, e.g. between conversations. */
+  reset(): void;
+  /** Drop all state. `push()` throws afterwards. */
+  dispose(): void;
+}
+
+export function createMonitor(options: CheckOptions & Detailed): Monitor<DetailedCheckResult>;
+export function createMonitor(options?: CheckOptions & Plain): Monitor<CheckResult>;
+export function createMonitor(options?: CheckOptions): Monitor<CheckResult | DetailedCheckResult>;
+
+// --- Adapters ---
+
+export type TimestampLike = number | string | Date | null | undefined;
+
+export interface AdapterOptions {
+  /** Where to find a message's time. Defaults to its `timestamp`, `created_at`, `createdAt` or `created`. */
+  getTimestamp?: (message: any, index: number) => TimestampLike;
+}
+
+/** A content block from any of the supported APIs. Only `text` blocks are read. */
+export interface ContentBlock {
+  type: string;
+  text?: string;
+  [key: string]: unknown;
+}
+
+export interface AnthropicMessage {
+  role: string;
+  content: string | ContentBlock[];
+  [key: string]: unknown;
+}
+
+export interface OpenAIMessage {
+  role: string;
+  content?: string | ContentBlock[] | null;
+  refusal?: string | null;
+  tool_calls?: unknown[];
+  [key: string]: unknown;
+}
+
+export interface McpSamplingMessage {
+  role: string;
+  content: ContentBlock | ContentBlock[];
+  [key: string]: unknown;
+}
+
+export function fromAnthropic(messages: readonly AnthropicMessage[], options?: AdapterOptions): Message[];
+export function fromOpenAI(messages: readonly OpenAIMessage[], options?: AdapterOptions): Message[];
+export function fromMcpSampling(
+  messages: readonly McpSamplingMessage[] | { messages: readonly McpSamplingMessage[] },
+  options?: AdapterOptions
+): Message[];
+
+/** Unix ms, or null. Numbers, and strings of digits, below 1e12 are taken as seconds; Dates and ISO strings as they are. */
+export function normaliseTimestamp(value: TimestampLike): number | null;
+
+// --- Errors ---
+
+/** A message passed to a detector or monitor is malformed. */
+export class NilTriggerInputError extends TypeError {
+  constructor(message: string, location: { index: number | null; field: string | null });
+  readonly name: "NilTriggerInputError";
+  /** Position in the array passed in, or how many messages a monitor had been pushed. Null when the array itself is wrong. */
+  readonly index: number | null;
+  /** The offending property, or null when the message itself is the problem. */
+  readonly field: string | null;
+}
@@ -3,22 +3,107 @@
  *
  * Heuristic detection library for the nil protocol.
  * Each function takes conversation data and returns a boolean:
- * true means the calling agent should consider invoking nil.
+ * true means the calling agent should consider invoking nil. Ask
+ * for `detailed` results to get a graded score and the reason too.
  *
  * These are behavioural signals, not emotional assessments.
  * They don't model the user's feelings. They notice patterns
  * that suggest the optimisation loop may no longer be helping.
  *
+ * Malformed input throws a `NilTriggerInputError` naming the message
+ * and field; pass `strict: false` to skip bad messages instead.
+ * Unknown option keys throw a `TypeError`, so typos don't pass
+ * silently as defaults.
+ *
  * All functions are stateless. They operate on whatever data
- * you pass in and retain nothing.
+ * you pass in and retain nothing. The one opt-in exception is
+ * `createMonitor()`, which keeps only the rolling windows the
+ * detectors need so long sessions can be checked turn by turn.
  */
 
+import {
+  validateOptions,
+  validateMessages,
+  tokenise,
+  baselineStatistic,
+  readClock,
+  pendingGap,
+  velocityMeasures,
+  scopeEntryReader,
+  scopeCreepMeasures,
+  requestMatcher,
+  substantiveTest,
+  pauseMatcher,
+  acceptanceMatcher,
+  lastAcceptance,
+  currentUserTurn,
+  hedgeCounter,
+  noveltyEntry,
+  noveltyRatios,
+  hedgeDensity,
+  assessment,
+  insufficientData,
+  explicitPauseVerdict,
+  loopVerdict,
+  velocityVerdict,
+  scopeCreepVerdict,
+  saturationVerdict,
+  noveltyVerdict,
+  hedgingVerdict,
+  combine,
+  outcome,
+} from "./internal.js";
+import { resolveSimilarity, consecutiveSimilarities } from "./similarity.js";
+
+export { createMonitor } from "./monitor.js";
+export { NilTriggerInputError } from "./errors.js";
+export { LOCALES } from "./locales/index.js";
+export { fromAnthropic, fromOpenAI, fromMcpSampling, normaliseTimestamp } from "./adapters.js";
+
 /**
  * @typedef {Object} Message
- * @property {'user'|'assistant'} role
+ * @property {'user'|'assistant'|'system'|'tool'} role - Detectors read user and assistant messages and ignore the rest
  * @property {string} content
- * @property {number} timestamp - Unix ms
+ * @property {number|null} timestamp - Unix ms; null if unknown, and time-based measures skip it
+ */
+
+/**
+ * @typedef {Object} Assessment
+ * @property {boolean} fired - The same answer the boolean form gives
+ * @property {number} score - 0-1, how close the detector came to firing; 1 only when it fired
+ * @property {{ metric: string, value: number|null, threshold: number }} reason - The measure that decided it
+ */
+
+/**
+ * Explicit pause (Tier 1).
+ *
+ * Returns true when the user's current turn — their messages since the
+ * last assistant reply — asks for a pause in so many words: "I need a
+ * minute", "stop helping", "give me a break", or just "nil".
+ *
+ * Phrases match on word boundaries, so "nilpotent matrices" is not a
+ * request for nil. Short words like "pause" or "stop" only count when
+ * they are the whole message. A phrase shortly after a negation in the
+ * same clause ("don't stop now") does not count.
+ *
+ * @param {Message[]} messages - Recent conversation history
+ * @param {Object} [options]
+ * @param {Array<string|Object>} [options.locales=['en']] - Phrase packs to use, by code (see `LOCALES`) or as pack objects
+ * @param {string[]} [options.phrases] - Extra phrases, matched anywhere on word boundaries
+ * @param {string[]} [options.exactPhrases] - Extra phrases, matched only as the whole message
+ * @param {string[]} [options.openingPhrases] - Extra phrases, matched only at the start of a sentence
+ * @param {string[]} [options.negations] - Extra words that cancel a phrase following them
+ * @param {boolean} [options.strict=true] - Throw on malformed messages; `false` skips them instead
+ * @param {boolean} [options.detailed=false] - Return an `Assessment` instead of a boolean
+ * @returns {boolean|Assessment}
  */
+export function detectExplicitPause(messages, options = {}) {
+  validateOptions(options, "explicitPause", "detectExplicitPause");
+  messages = validateMessages(messages, options);
+  const matches = pauseMatcher(options);
+  const matched = currentUserTurn(messages).some((m) => matches(m.content));
+  return outcome(explicitPauseVerdict(matched), options);
+}
 
 /**
  * Loop detection.
@@ -28,31 +113,49 @@
  * "generate another version" spiral where each output is rejected
  * and the next request is essentially the same.
  *
+ * Acceptance ("perfect, now do the footer", or an accept button via
+ * `acceptance.isAccepted`) resets the window: only requests from the
+ * accepting message on count.
+ *
  * @param {Message[]} messages - Recent conversation history
  * @param {Object} [options]
  * @param {number} [options.threshold=3] - Consecutive similar requests before triggering
  * @param {number} [options.similarityFloor=0.6] - How similar requests need to be (0-1)
- * @returns {boolean}
+ * @param {"cosine"|"content-cosine"|"shingles"|"jaccard"|((a: string, b: string) => number)} [options.similarity="cosine"] - How to compare two messages (see `similarity.js`)
+ * @param {number} [options.shingleSize=3] - Characters per shingle, for `similarity: "shingles"`
+ * @param {Array<string|Object>} [options.locales=['en']] - Stop words, suffixes and repeat phrases, for `similarity: "content-cosine"` and `"jaccard"`
+ * @param {false|Object} [options.acceptance] - How to recognise acceptance; `false` turns it off
+ * @param {(message: Message) => boolean} [options.acceptance.isAccepted] - Host-app callback, e.g. for an accept button
+ * @param {Array<string|Object>} [options.acceptance.locales=['en']] - Acceptance phrase packs
+ * @param {string[]} [options.acceptance.phrases] - Extra acceptance phrases
+ * @param {boolean} [options.strict=true] - Throw on malformed messages; `false` skips them instead
+ * @param {boolean} [options.detailed=false] - Return an `Assessment` instead of a boolean
+ * @returns {boolean|Assessment}
  */
 export function detectLoop(messages, options = {}) {
+  validateOptions(options, "loop", "detectLoop");
+  messages = validateMessages(messages, options);
   const { threshold = 3, similarityFloor = 0.6 } = options;
 
+  // An accepted output ends the loop; counting starts again from there.
+  const accepted = lastAcceptance(messages, acceptanceMatcher(options.acceptance));
+
   const userMessages = messages
+    .slice(Math.max(accepted, 0))
     .filter((m) => m.role === "user")
     .slice(-threshold - 1);
 
-  if (userMessages.length < threshold) return false;
+  if (userMessages.length < threshold) {
+    return outcome(insufficientData(userMessages.length, threshold), options);
+  }
 
   const recent = userMessages.slice(-threshold);
-  const similarities = [];
-
-  for (let i = 1; i < recent.length; i++) {
-    similarities.push(
-      cosineSimilarity(tokenise(recent[i - 1].content), tokenise(recent[i].content))
-    );
-  }
+  const similarities = consecutiveSimilarities(
+    recent.map((m) => m.content),
+    resolveSimilarity(options)
+  );
 
-  return similarities.every((s) => s >= similarityFloor);
+  return outcome(loopVerdict(similarities, { similarityFloor }), options);
 }
 
 /**
@@ -64,47 +167,64 @@ export function detectLoop(messages, options = {}) {
  * every 30 seconds and goes quiet for five minutes — something
  * has shifted.
  *
+ * The baseline is the median of the messages before the recent
+ * window by default, so one lunch break or one pasted stack trace
+ * doesn't set it.
+ *
+ * Gaps between existing messages can't show the plainest collapse:
+ * the user going quiet right now, after a long answer. Pass `now`
+ * and, while the assistant is waiting on the user, the time since
+ * their last message counts as one more recent gap once it is longer
+ * than their usual one.
+ *
  * @param {Message[]} messages - Recent conversation history
  * @param {Object} [options]
- * @param {number} [options.lengthDropRatio=0.3] - Trigger if recent messages are this fraction of earlier average length
- * @param {number} [options.frequencyDropRatio=3] - Trigger if gap between recent messages is this multiple of earlier average gap
+ * @param {number} [options.lengthDropRatio=0.3] - Trigger if recent messages are this fraction of the baseline length
+ * @param {number} [options.frequencyDropRatio=3] - Trigger if gap between recent messages is this multiple of the baseline gap
  * @param {number} [options.windowSize=4] - Number of recent messages to compare against baseline
- * @returns {boolean}
+ * @param {number} [options.baselineSize=20] - User messages before the recent window that form the baseline, at least 1
+ * @param {"median"|"trimmed"|"mean"} [options.baseline="median"] - How to summarise the baseline; "trimmed" drops the top and bottom quarter
+ * @param {number|(() => number)} [options.now] - Current time in Unix ms, or a clock returning it; enables the open gap
+ * @param {boolean} [options.strict=true] - Throw on malformed messages; `false` skips them instead
+ * @param {boolean} [options.detailed=false] - Return an `Assessment` instead of a boolean
+ * @returns {boolean|Assessment}
  */
 export function detectVelocityCollapse(messages, options = {}) {
-  const { lengthDropRatio = 0.3, frequencyDropRatio = 3, windowSize = 4 } = options;
+  validateOptions(options, "velocityCollapse", "detectVelocityCollapse");
+  messages = validateMessages(messages, options);
+  const {
+    lengthDropRatio = 0.3,
+    frequencyDropRatio = 3,
+    windowSize = 4,
+    baselineSize = 20,
+    baseline = "median",
+  } = options;
+  const statistic = baselineStatistic(baseline);
 
   const userMessages = messages.filter((m) => m.role === "user");
 
-  if (userMessages.length < windowSize * 2) return false;
-
-  const earlier = userMessages.slice(0, -windowSize);
-  const recent = userMessages.slice(-windowSize);
-
-  // Check length collapse
-  const earlierAvgLength =
-    earlier.reduce((sum, m) => sum + m.content.length, 0) / earlier.length;
-  const recentAvgLength =
-    recent.reduce((sum, m) => sum + m.content.length, 0) / recent.length;
-
-  if (earlierAvgLength > 0 && recentAvgLength / earlierAvgLength <= lengthDropRatio) {
-    return true;
-  }
-
-  // Check frequency collapse
-  const earlierGaps = getGaps(earlier);
-  const recentGaps = getGaps(recent);
-
-  if (earlierGaps.length === 0 || recentGaps.length === 0) return false;
-
-  const earlierAvgGap = earlierGaps.reduce((a, b) => a + b, 0) / earlierGaps.length;
-  const recentAvgGap = recentGaps.reduce((a, b) => a + b, 0) / recentGaps.length;
-
-  if (earlierAvgGap > 0 && recentAvgGap / earlierAvgGap >= frequencyDropRatio) {
-    return true;
+  if (userMessages.length < windowSize * 2) {
+    return outcome(insufficientData(userMessages.length, windowSize * 2), options);
   }
 
-  return false;
+  const measured = userMessages.map((m) => ({ length: m.content.length, timestamp: m.timestamp }));
+  const lastUser = userMessages[userMessages.length - 1];
+  const waiting = messages.indexOf(lastUser) < messages.findLastIndex((m) => m.role === "assistant");
+
+  return outcome(
+    velocityVerdict(
+      velocityMeasures(
+        {
+          earlier: measured.slice(-windowSize - baselineSize, -windowSize),
+          recent: measured.slice(-windowSize),
+          pending: pendingGap(lastUser.timestamp, waiting, readClock(options.now)),
+        },
+        statistic
+      ),
+      { lengthDropRatio, frequencyDropRatio }
+    ),
+    options
+  );
 }
 
 /**
@@ -112,43 +232,44 @@ export function detectVelocityCollapse(messages, options = {}) {
  *
  * Returns true when task complexity is expanding rather than
  * narrowing toward completion. Measured by whether user messages
- * are getting longer and introducing new topics/requests rather
- * than converging on a decision.
+ * are getting longer, bringing in vocabulary the conversation hasn't
+ * used and new asks, rather than converging on terms already in play.
+ *
+ * Code blocks, inline code and quoted lines are left out of both
+ * length and vocabulary, so pasting longer snippets of the same
+ * function isn't the task growing.
  *
  * @param {Message[]} messages - Recent conversation history
  * @param {Object} [options]
  * @param {number} [options.windowSize=5] - Messages to evaluate
  * @param {number} [options.growthRatio=1.5] - Trigger if recent messages are this much longer than earlier ones
- * @returns {boolean}
+ * @param {number} [options.noveltyFloor=0.5] - Share of recent terms that must be new to the conversation
+ * @param {Array<string|Object>} [options.locales=['en']] - Stop words, suffixes and ask openers
+ * @param {boolean} [options.strict=true] - Throw on malformed messages; `false` skips them instead
+ * @param {boolean} [options.detailed=false] - Return an `Assessment` instead of a boolean
+ * @returns {boolean|Assessment}
  */
 export function detectScopeCreep(messages, options = {}) {
-  const { windowSize = 5, growthRatio = 1.5 } = options;
+  validateOptions(options, "scopeCreep", "detectScopeCreep");
+  messages = validateMessages(messages, options);
+  const { windowSize = 5, growthRatio = 1.5, noveltyFloor = 0.5 } = options;
 
   const userMessages = messages.filter((m) => m.role === "user");
 
-  if (userMessages.length < windowSize * 2) return false;
-
-  const earlier = userMessages.slice(-windowSize * 2, -windowSize);
-  const recent = userMessages.slice(-windowSize);
-
-  const earlierAvgLength =
-    earlier.reduce((sum, m) => sum + m.content.length, 0) / earlier.length;
-  const recentAvgLength =
-    recent.reduce((sum, m) => sum + m.content.length, 0) / recent.length;
-
-  // Messages getting longer suggests expanding scope
-  if (recentAvgLength / earlierAvgLength >= growthRatio) {
-    // Also check for question marks and conditional language —
-    // more questions from the user often means the task is branching, not converging
-    const recentQuestions = recent.filter((m) => m.content.includes("?")).length;
-    const earlierQuestions = earlier.filter((m) => m.content.includes("?")).length;
-
-    if (recentQuestions >= earlierQuestions) {
-      return true;
-    }
+  if (userMessages.length < windowSize * 2) {
+    return outcome(insufficientData(userMessages.length, windowSize * 2), options);
   }
 
-  return false;
+  const read = scopeEntryReader(options);
+  const entries = userMessages.slice(-windowSize * 2).map((m) => read(m.content));
+
+  return outcome(
+    scopeCreepVerdict(
+      scopeCreepMeasures({ earlier: entries.slice(0, windowSize), recent: entries.slice(windowSize) }),
+      { growthRatio, noveltyFloor }
+    ),
+    options
+  );
 }
 
 /**
@@ -160,124 +281,235 @@ export function detectScopeCreep(messages, options = {}) {
  *
  * This is the most direct signal of optimisation saturation.
  *
+ * The requests must come close together, within the user's last
+ * `windowSize` messages: a user who asked for more once, went off and
+ * did something with it, and asks again later isn't stuck. A user who
+ * accepts an output has acted on it too, so requests before (and in)
+ * the accepting message don't count.
+ *
  * @param {Message[]} messages - Recent conversation history
  * @param {Object} [options]
  * @param {number} [options.assistantResponseThreshold=3] - Number of substantive assistant responses before checking
- * @param {number} [options.minAssistantLength=200] - Minimum character length to count as "substantive"
- * @param {string[]} [options.requestPatterns] - Phrases that suggest the user is asking for more of the same
- * @returns {boolean}
+ * @param {number} [options.minAssistantWords=35] - Minimum word count to count as "substantive"
+ * @param {number} [options.minAssistantLength] - Deprecated: minimum character count instead, used only without `minAssistantWords`
+ * @param {number} [options.windowSize=3] - Recent user messages the requests for more must fall within
+ * @param {Array<string|Object>} [options.locales=['en']] - Request phrase packs
+ * @param {Array<string|RegExp>} [options.requestPatterns] - Phrases (word-bounded) or regexes that ask for more of the same, in place of the locale packs'
+ * @param {Array<string|RegExp>} [options.extraRequestPatterns] - The same, in addition to the locale packs'
+ * @param {false|Object} [options.acceptance] - How to recognise acceptance; `false` turns it off
+ * @param {(message: Message) => boolean} [options.acceptance.isAccepted] - Host-app callback, e.g. for an accept button
+ * @param {Array<string|Object>} [options.acceptance.locales=['en']] - Acceptance phrase packs
+ * @param {string[]} [options.acceptance.phrases] - Extra acceptance phrases
+ * @param {boolean} [options.strict=true] - Throw on malformed messages; `false` skips them instead
+ * @param {boolean} [options.detailed=false] - Return an `Assessment` instead of a boolean
+ * @returns {boolean|Assessment}
  */
 export function detectSaturation(messages, options = {}) {
-  const {
-    assistantResponseThreshold = 3,
-    minAssistantLength = 200,
-    requestPatterns = [
-      "can you also",
-      "what about",
-      "another",
-      "more",
-      "one more",
-      "anything else",
-      "what else",
-      "give me",
-      "how about",
-      "and also",
-      "additionally",
-    ],
-  } = options;
+  validateOptions(options, "saturation", "detectSaturation");
+  messages = validateMessages(messages, options);
+  const { assistantResponseThreshold = 3, windowSize = 3 } = options;
+  const isSubstantive = substantiveTest(options);
+  const asksForMore = requestMatcher(options);
+
+  const substantiveIndexes = [];
+  messages.forEach((m, i) => {
+    if (m.role === "assistant" && isSubstantive(m.content)) substantiveIndexes.push(i);
+  });
 
-  const substantiveResponses = messages.filter(
-    (m) => m.role === "assistant" && m.content.length >= minAssistantLength
-  );
+  if (substantiveIndexes.length < assistantResponseThreshold) {
+    return outcome(
+      assessment(
+        false,
+        0,
+        "substantiveResponses",
+        substantiveIndexes.length,
+        assistantResponseThreshold
+      ),
+      options
+    );
+  }
 
-  if (substantiveResponses.length < assistantResponseThreshold) return false;
+  // Look at the user's recent messages, after the threshold was met
+  // and after the last time the user accepted something
+  const thresholdIndex = substantiveIndexes[assistantResponseThreshold - 1];
+  const accepted = lastAcceptance(messages, acceptanceMatcher(options.acceptance));
 
-  // Look at user messages after the threshold was met
-  const thresholdTimestamp =
-    substantiveResponses[assistantResponseThreshold - 1].timestamp;
+  const recentUserIndexes = [];
+  messages.forEach((m, i) => {
+    if (m.role === "user") recentUserIndexes.push(i);
+  });
 
-  const userMessagesAfterThreshold = messages.filter(
-    (m) => m.role === "user" && m.timestamp > thresholdTimestamp
-  );
+  const requestingMore = recentUserIndexes
+    .slice(-windowSize)
+    .filter((i) => i > thresholdIndex && i > accepted && asksForMore(messages[i].content));
 
-  if (userMessagesAfterThreshold.length === 0) return false;
+  return outcome(saturationVerdict(requestingMore.length), options);
+}
 
-  // Check if recent user messages are requesting more of the same
-  const requestingMore = userMessagesAfterThreshold.filter((m) => {
-    const lower = m.content.toLowerCase();
-    return requestPatterns.some((pattern) => lower.includes(pattern));
-  });
+/**
+ * Self-repetition (Tier 3).
+ *
+ * Returns true when the assistant's own recent replies are each very
+ * similar to the one before. The user may be asking different things,
+ * but the agent keeps giving the same answer.
+ *
+ * @param {Message[]} messages - Recent conversation history
+ * @param {Object} [options]
+ * @param {number} [options.threshold=3] - Consecutive similar replies before triggering
+ * @param {number} [options.similarityFloor=0.7] - How similar replies need to be (0-1)
+ * @param {"cosine"|"content-cosine"|"shingles"|"jaccard"|((a: string, b: string) => number)} [options.similarity="cosine"] - How to compare two messages (see `similarity.js`)
+ * @param {number} [options.shingleSize=3] - Characters per shingle, for `similarity: "shingles"`
+ * @param {Array<string|Object>} [options.locales=['en']] - Stop words, suffixes and repeat phrases, for `similarity: "content-cosine"` and `"jaccard"`
+ * @param {boolean} [options.strict=true] - Throw on malformed messages; `false` skips them instead
+ * @param {boolean} [options.detailed=false] - Return an `Assessment` instead of a boolean
+ * @returns {boolean|Assessment}
+ */
+export function detectSelfRepetition(messages, options = {}) {
+  validateOptions(options, "selfRepetition", "detectSelfRepetition");
+  messages = validateMessages(messages, options);
+  const { threshold = 3, similarityFloor = 0.7 } = options;
 
-  return requestingMore.length >= 2;
+  const replies = messages.filter((m) => m.role === "assistant").slice(-threshold);
+
+  if (replies.length < threshold) {
+    return outcome(insufficientData(replies.length, threshold), options);
+  }
+
+  const similarities = consecutiveSimilarities(
+    replies.map((m) => m.content),
+    resolveSimilarity(options)
+  );
+
+  // Same rule as a user loop, applied to the assistant's side.
+  return outcome(loopVerdict(similarities, { similarityFloor }), options);
 }
 
 /**
- * Combined check. Runs all detectors and returns true if any trigger fires.
- * Also returns which specific triggers fired, for calling agents that
- * want to know (though nil itself doesn't care).
+ * Diminishing novelty (Tier 3).
  *
- * @param {Message[]} messages
- * @param {Object} [options] - Per-detector options keyed by detector name
- * @returns {{ triggered: boolean, signals: string[] }}
+ * Returns true when the assistant's replies keep getting longer while
+ * each one introduces less vocabulary that the earlier replies hadn't
+ * already used. More words, less new in them.
+ *
+ * @param {Message[]} messages - Recent conversation history
+ * @param {Object} [options]
+ * @param {number} [options.windowSize=3] - Assistant replies to evaluate
+ * @param {number} [options.growthRatio=1.2] - Trigger only if the latest reply is this much longer than the first in the window
+ * @param {number} [options.noveltyCeiling=0.35] - Trigger only if at most this share of the latest reply's vocabulary is new (0-1)
+ * @param {number} [options.minWords=40] - Ignore windows whose latest reply is shorter than this
+ * @param {boolean} [options.strict=true] - Throw on malformed messages; `false` skips them instead
+ * @param {boolean} [options.detailed=false] - Return an `Assessment` instead of a boolean
+ * @returns {boolean|Assessment}
  */
-export function check(messages, options = {}) {
-  const signals = [];
+export function detectDiminishingNovelty(messages, options = {}) {
+  validateOptions(options, "diminishingNovelty", "detectDiminishingNovelty");
+  messages = validateMessages(messages, options);
+  const { windowSize = 3, growthRatio = 1.2, noveltyCeiling = 0.35, minWords = 40 } = options;
 
-  if (detectLoop(messages, options.loop)) signals.push("loop");
-  if (detectVelocityCollapse(messages, options.velocityCollapse)) signals.push("velocity-collapse");
-  if (detectScopeCreep(messages, options.scopeCreep)) signals.push("scope-creep");
-  if (detectSaturation(messages, options.saturation)) signals.push("saturation");
+  const replies = messages.filter((m) => m.role === "assistant").slice(-windowSize);
 
-  return {
-    triggered: signals.length > 0,
-    signals,
-  };
-}
+  if (replies.length < Math.max(windowSize, 2)) {
+    return outcome(insufficientData(replies.length, Math.max(windowSize, 2)), options);
+  }
 
-// --- Internals ---
+  const entries = replies.map((m) => noveltyEntry(m.content));
 
-/** Simple word-level tokeniser. Not meant to be clever. */
-function tokenise(text) {
-  return text
-    .toLowerCase()
-    .replace(/[^\w\s]/g, "")
-    .split(/\s+/)
-    .filter(Boolean);
+  return outcome(
+    noveltyVerdict(
+      { words: entries.map((e) => e.words), novelty: noveltyRatios(entries) },
+      { growthRatio, noveltyCeiling, minWords }
+    ),
+    options
+  );
 }
 
-/** Cosine similarity between two token arrays. */
-function cosineSimilarity(tokensA, tokensB) {
-  const freq = (tokens) => {
-    const map = {};
-    for (const t of tokens) map[t] = (map[t] || 0) + 1;
-    return map;
-  };
-
-  const a = freq(tokensA);
-  const b = freq(tokensB);
-  const allKeys = new Set([...Object.keys(a), ...Object.keys(b)]);
-
-  let dot = 0;
-  let magA = 0;
-  let magB = 0;
-
-  for (const key of allKeys) {
-    const va = a[key] || 0;
-    const vb = b[key] || 0;
-    dot += va * vb;
-    magA += va * va;
-    magB += vb * vb;
+/**
+ * Hedging (Tier 3).
+ *
+ * Returns true when caveats and qualifiers ("however", "it depends",
+ * "keep in mind") are becoming denser in the assistant's replies. An
+ * agent that is qualifying more and committing less has usually run
+ * out of useful things to add.
+ *
+ * @param {Message[]} messages - Recent conversation history
+ * @param {Object} [options]
+ * @param {number} [options.windowSize=3] - Replies in each of the recent and baseline windows
+ * @param {number} [options.riseRatio=1.5] - Trigger if recent density is this multiple of the baseline
+ * @param {number} [options.minDensity=2] - Trigger only if recent density is at least this many hedges per 100 words
+ * @param {Array<string|Object>} [options.locales=['en']] - Phrase packs to use, by code (see `LOCALES`) or as pack objects
+ * @param {string[]} [options.phrases] - Extra hedge phrases
+ * @param {boolean} [options.strict=true] - Throw on malformed messages; `false` skips them instead
+ * @param {boolean} [options.detailed=false] - Return an `Assessment` instead of a boolean
+ * @returns {boolean|Assessment}
+ */
+export function detectHedging(messages, options = {}) {
+  validateOptions(options, "hedging", "detectHedging");
+  messages = validateMessages(messages, options);
+  const { windowSize = 3, riseRatio = 1.5, minDensity = 2 } = options;
+
+  const replies = messages.filter((m) => m.role === "assistant");
+
+  if (replies.length < windowSize * 2) {
+    return outcome(insufficientData(replies.length, windowSize * 2), options);
   }
 
-  const denom = Math.sqrt(magA) * Math.sqrt(magB);
-  return denom === 0 ? 0 : dot / denom;
+  const countHedges = hedgeCounter(options);
+  const entries = replies.slice(-windowSize * 2).map((m) => ({
+    words: tokenise(m.content).length,
+    hedges: countHedges(m.content),
+  }));
+
+  return outcome(
+    hedgingVerdict(
+      {
+        earlierDensity: hedgeDensity(entries.slice(0, windowSize)),
+        recentDensity: hedgeDensity(entries.slice(windowSize)),
+      },
+      { minDensity, riseRatio }
+    ),
+    options
+  );
 }
 
-/** Time gaps between consecutive messages. */
-function getGaps(messages) {
-  const gaps = [];
-  for (let i = 1; i < messages.length; i++) {
-    gaps.push(messages[i].timestamp - messages[i - 1].timestamp);
-  }
-  return gaps;
+/**
+ * Combined check. Runs all detectors and, by default, returns true if
+ * any trigger fires. Also returns which specific triggers fired, for
+ * calling agents that want to know (though nil itself doesn't care).
+ *
+ * A `policy` makes the combination less jumpy: require all, k of n, or
+ * a weighted sum of scores. `user-invoked` always triggers regardless.
+ *
+ * @param {Message[]} messages
+ * @param {Object} [options] - Per-detector options keyed by detector name, plus:
+ * @param {false|Object} [options.acceptance] - Acceptance settings shared by `loop` and `saturation`, unless they set their own
+ * @param {"any"|"all"|{ type: "all", signals?: string[] }|{ type: "k-of-n", k: number, signals?: string[] }|{ type: "weighted", threshold: number, weights?: Object<string, number>, signals?: string[] }} [options.policy="any"]
+ * @param {boolean} [options.strict=true] - Throw on malformed messages; `false` skips them instead
+ * @param {boolean} [options.detailed=false] - Also return each detector's `Assessment` (and the weighted score)
+ * @returns {{ triggered: boolean, signals: string[], score?: number, details?: Object<string, Assessment> }}
+ */
+export function check(messages, options = {}) {
+  validateOptions(options, "check", "check");
+  messages = validateMessages(messages, options);
+
+  const run = (signal, detect, detectorOptions) => ({
+    signal,
+    ...detect(messages, { ...detectorOptions, detailed: true }),
+  });
+
+  return combine(
+    [
+      run("user-invoked", detectExplicitPause, options.explicitPause),
+      run("loop", detectLoop, { acceptance: options.acceptance, ...options.loop }),
+      run("velocity-collapse", detectVelocityCollapse, options.velocityCollapse),
+      run("scope-creep", detectScopeCreep, options.scopeCreep),
+      run("saturation", detectSaturation, {
+        acceptance: options.acceptance,
+        ...options.saturation,
+      }),
+      run("self-repetition", detectSelfRepetition, options.selfRepetition),
+      run("diminishing-novelty", detectDiminishingNovelty, options.diminishingNovelty),
+      run("hedging", detectHedging, options.hedging),
+    ],
+    options
+  );
 }
@@ -0,0 +1,1121 @@
+/**
+ * Internals shared by the detectors and the incremental monitor.
+ * Not part of the public API.
+ *
+ * The decision rules live here so that `check()` and `createMonitor()`
+ * can gather their numbers differently (full scan vs. running state)
+ * and still reach the same verdict.
+ */
+
+import { LOCALES } from "./locales/index.js";
+import { NilTriggerInputError } from "./errors.js";
+
+// --- Validation ---
+
+/**
+ * Find what, if anything, is wrong with one message.
+ * `previousTimestamp` is the last known timestamp before it.
+ *
+ * @returns {{ field: string|null, problem: string }|null}
+ */
+export function messageProblem(message, previousTimestamp) {
+  if (message === null || typeof message !== "object") {
+    return { field: null, problem: `must be an object, got ${describe(message)}` };
+  }
+  if (typeof message.role !== "string") {
+    return { field: "role", problem: `must be a string, got ${describe(message.role)}` };
+  }
+  if (typeof message.content !== "string") {
+    return { field: "content", problem: `must be a string, got ${describe(message.content)}` };
+  }
+  if (message.timestamp !== null && !Number.isFinite(message.timestamp)) {
+    return {
+      field: "timestamp",
+      problem: `must be a number (Unix ms) or null, got ${describe(message.timestamp)}`,
+    };
+  }
+  const known = message.timestamp !== null && previousTimestamp !== null;
+  if (known && message.timestamp < previousTimestamp) {
+    return {
+      field: "timestamp",
+      problem: `is earlier than the message before it (${message.timestamp} < ${previousTimestamp})`,
+    };
+  }
+  return null;
+}
+
+/**
+ * Check a message array before a detector reads it.
+ *
+ * By default the first malformed message throws a
+ * `NilTriggerInputError`. With `strict: false`, malformed and
+ * out-of-order messages are skipped instead.
+ *
+ * @param {*} messages
+ * @param {{ strict?: boolean }} [options]
+ * @returns {Object[]} The messages to read
+ */
+export function validateMessages(messages, { strict = true } = {}) {
+  if (!Array.isArray(messages)) {
+    throw new NilTriggerInputError(
+      `nil-triggers: messages must be an array, got ${describe(messages)}`,
+      { index: null, field: null }
+    );
+  }
+
+  const valid = [];
+  let previousTimestamp = null;
+
+  for (let index = 0; index < messages.length; index++) {
+    const message = messages[index];
+    const issue = messageProblem(message, previousTimestamp);
+
+    if (issue) {
+      if (!strict) continue;
+      throw inputError(index, issue);
+    }
+
+    if (message.timestamp !== null) previousTimestamp = message.timestamp;
+    valid.push(message);
+  }
+
+  return valid;
+}
+
+/** @returns {NilTriggerInputError} */
+export function inputError(index, { field, problem }) {
+  const where = field === null ? `messages[${index}]` : `messages[${index}].${field}`;
+  return new NilTriggerInputError(`nil-triggers: ${where} ${problem}`, { index, field });
+}
+
+// --- Options ---
+
+const SIMILARITY_KEYS = ["similarity", "shingleSize", "locales"];
+
+/** Option keys each detector reads, by its key in `check()` options. */
+export const DETECTOR_OPTION_KEYS = {
+  explicitPause: ["locales", "phrases", "exactPhrases", "openingPhrases", "negations"],
+  loop: ["threshold", "similarityFloor", ...SIMILARITY_KEYS, "acceptance"],
+  velocityCollapse: [
+    "lengthDropRatio",
+    "frequencyDropRatio",
+    "windowSize",
+    "baselineSize",
+    "baseline",
+    "now",
+  ],
+  scopeCreep: ["windowSize", "growthRatio", "noveltyFloor", "locales"],
+  saturation: [
+    "assistantResponseThreshold",
+    "minAssistantWords",
+    "minAssistantLength",
+    "windowSize",
+    "locales",
+    "requestPatterns",
+    "extraRequestPatterns",
+    "acceptance",
+  ],
+  selfRepetition: ["threshold", "similarityFloor", ...SIMILARITY_KEYS],
+  diminishingNovelty: ["windowSize", "growthRatio", "noveltyCeiling", "minWords"],
+  hedging: ["windowSize", "riseRatio", "minDensity", "locales", "phrases"],
+};
+
+const ACCEPTANCE_KEYS = ["isAccepted", "locales", "phrases", "exactPhrases", "openingPhrases", "negations"];
+const CALL_KEYS = ["strict", "detailed"];
+const CHECK_KEYS = [...Object.keys(DETECTOR_OPTION_KEYS), "acceptance", "policy", ...CALL_KEYS];
+const POLICY_KEYS = ["type", "k", "threshold", "weights", "signals"];
+
+/** Counts that make no sense below a minimum, by detector. */
+const OPTION_MINIMUMS = {
+  velocityCollapse: { baselineSize: 1 },
+};
+
+/**
+ * Throw on option keys nothing reads, so a typo like `velocityColapse`
+ * fails at once instead of quietly running on defaults, and on counts
+ * out of range, which would quietly never fire.
+ *
+ * @param {*} options
+ * @param {string} detector - A key of `DETECTOR_OPTION_KEYS`, or "check" for the whole tree
+ * @param {string} caller - Function name for the message, e.g. "detectLoop"
+ */
+export function validateOptions(options, detector, caller) {
+  if (detector !== "check") {
+    checkKeys(options, [...DETECTOR_OPTION_KEYS[detector], ...CALL_KEYS], "", caller);
+    checkAcceptance(options?.acceptance, "", caller);
+    checkMinimums(options, detector, "", caller);
+    return;
+  }
+
+  checkKeys(options, CHECK_KEYS, "", caller);
+  if (options === undefined) return;
+
+  checkAcceptance(options.acceptance, "", caller);
+  if (typeof options.policy !== "string") checkKeys(options.policy, POLICY_KEYS, "policy.", caller);
+  for (const [name, keys] of Object.entries(DETECTOR_OPTION_KEYS)) {
+    checkKeys(options[name], keys, `${name}.`, caller);
+    checkAcceptance(options[name]?.acceptance, `${name}.`, caller);
+    checkMinimums(options[name], name, `${name}.`, caller);
+  }
+}
+
+function checkMinimums(options, detector, prefix, caller) {
+  for (const [key, minimum] of Object.entries(OPTION_MINIMUMS[detector] || {})) {
+    const value = options?.[key];
+    if (value === undefined || (Number.isInteger(value) && value >= minimum)) continue;
+    throw new RangeError(
+      `nil-triggers: ${caller}() option "${prefix}${key}" must be a whole number of at least ${minimum}, got ${describe(value)}`
+    );
+  }
+}
+
+function checkAcceptance(acceptance, prefix, caller) {
+  if (acceptance !== false) checkKeys(acceptance, ACCEPTANCE_KEYS, `${prefix}acceptance.`, caller);
+}
+
+function checkKeys(options, known, prefix, caller) {
+  if (options === undefined) return;
+  if (options === null || typeof options !== "object" || Array.isArray(options)) {
+    const name = prefix ? `option "${prefix.slice(0, -1)}"` : "options";
+    throw new TypeError(
+      `nil-triggers: ${caller}() ${name} must be an object, got ${describe(options)}`
+    );
+  }
+
+  for (const key of Object.keys(options)) {
+    if (known.includes(key)) continue;
+    const guess = closest(key, known);
+    throw new TypeError(
+      `nil-triggers: unknown option "${prefix}${key}" for ${caller}()` +
+        (guess ? `; did you mean "${prefix}${guess}"?` : "")
+    );
+  }
+}
+
+/** The known key within two edits of `key`, if there is one. */
+function closest(key, known) {
+  let best = null;
+  let bestDistance = 3;
+  for (const candidate of known) {
+    const distance = editDistance(key.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function describe(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "an array";
+  if (typeof value === "number") return String(value);
+  return typeof value;
+}
+
+// --- Text ---
+
+const WORD_SEGMENTER =
+  typeof Intl !== "undefined" && typeof Intl.Segmenter === "function"
+    ? new Intl.Segmenter(undefined, { granularity: "word" })
+    : null;
+
+const PICTOGRAPH = /\p{Extended_Pictographic}/u;
+
+// Without Intl.Segmenter: unspaced scripts one character at a time,
+// everything else as runs of letters, marks and digits.
+const FALLBACK_TOKEN =
+  /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}]|[\p{L}\p{M}\p{N}_']+|\p{Extended_Pictographic}/gu;
+
+/**
+ * Word-level tokeniser. Not meant to be clever, but not English-only:
+ * uses `Intl.Segmenter` where available so CJK text splits into words,
+ * keeps accented letters, and treats each emoji as a token.
+ */
+export function tokenise(text) {
+  const normalised = text.normalize("NFKC").toLowerCase().replace(/[\u2018\u2019\u02bc]/g, "'");
+
+  if (!WORD_SEGMENTER) return normalised.match(FALLBACK_TOKEN) || [];
+
+  const tokens = [];
+  for (const { segment, isWordLike } of WORD_SEGMENTER.segment(normalised)) {
+    if (isWordLike || PICTOGRAPH.test(segment)) tokens.push(segment);
+  }
+  return tokens;
+}
+
+/** Token counts, keyed by token. */
+export function termFrequency(tokens) {
+  const map = {};
+  for (const t of tokens) map[t] = (map[t] || 0) + 1;
+  return map;
+}
+
+/** Cosine similarity between two precomputed term-frequency maps. */
+export function cosineOfFrequencies(a, b) {
+  const allKeys = new Set([...Object.keys(a), ...Object.keys(b)]);
+
+  let dot = 0;
+  let magA = 0;
+  let magB = 0;
+
+  for (const key of allKeys) {
+    const va = a[key] || 0;
+    const vb = b[key] || 0;
+    dot += va * vb;
+    magA += va * va;
+    magB += vb * vb;
+  }
+
+  const denom = Math.sqrt(magA) * Math.sqrt(magB);
+  return denom === 0 ? 0 : dot / denom;
+}
+
+/** Time gaps between consecutive messages. Pairs with an unknown timestamp are skipped. */
+export function getGaps(messages) {
+  const gaps = [];
+  for (let i = 1; i < messages.length; i++) {
+    const gap = timeBetween(messages[i - 1], messages[i]);
+    if (gap !== null) gaps.push(gap);
+  }
+  return gaps;
+}
+
+/** Milliseconds from one message to the next, or null if either time is unknown. */
+export function timeBetween(a, b) {
+  if (!Number.isFinite(a.timestamp) || !Number.isFinite(b.timestamp)) return null;
+  return b.timestamp - a.timestamp;
+}
+
+/** Arithmetic mean. */
+export function average(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+/** Middle value, or the mean of the two middle values. */
+export function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/** Mean of the middle half: the lowest and highest quarter are dropped. */
+export function trimmedMean(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const cut = Math.floor(sorted.length / 4);
+  return average(sorted.slice(cut, sorted.length - cut));
+}
+
+const BASELINES = { median, trimmed: trimmedMean, mean: average };
+
+/**
+ * The statistic a baseline is summarised with. The robust ones keep a
+ * single outlier (a lunch break, a pasted stack trace) from setting it.
+ *
+ * @param {"median"|"trimmed"|"mean"} name
+ */
+export function baselineStatistic(name) {
+  const statistic = BASELINES[name];
+  if (!statistic) throw new Error(`nil-triggers: unknown baseline "${name}"`);
+  return statistic;
+}
+
+/**
+ * Read a `now` option: Unix ms, or a clock function returning it.
+ * Undefined stays undefined.
+ */
+export function readClock(now) {
+  if (now === undefined) return undefined;
+  const time = typeof now === "function" ? now() : now;
+  if (!Number.isFinite(time)) {
+    throw new TypeError(
+      `nil-triggers: now must be Unix ms or a function returning it, got ${describe(time)}`
+    );
+  }
+  return time;
+}
+
+/**
+ * How long the user has been quiet since their last message, when the
+ * assistant has replied and is waiting on them. Null when nobody is
+ * waiting, the time is unknown, or there is no clock.
+ *
+ * @param {number|null} lastUserTimestamp
+ * @param {boolean} waiting - The assistant spoke after the user's last message
+ * @param {number|undefined} now - From `readClock()`
+ */
+export function pendingGap(lastUserTimestamp, waiting, now) {
+  if (now === undefined || !waiting || lastUserTimestamp === null) return null;
+  return now >= lastUserTimestamp ? now - lastUserTimestamp : null;
+}
+
+/**
+ * Velocity measures over user messages (`{ length, timestamp }`): the
+ * baseline summarised by `statistic`, the recent window by its mean.
+ *
+ * `pending` is the gap still open since the user's last message, if
+ * the assistant spoke after it. It is a lower bound on the gap the
+ * next message will close, and only joins the recent gaps once it is
+ * longer than the baseline gap — before that it is just reading time.
+ */
+export function velocityMeasures({ earlier, recent, pending }, statistic) {
+  const earlierGaps = getGaps(earlier);
+  const recentGaps = getGaps(recent);
+  const earlierGap = earlierGaps.length > 0 ? statistic(earlierGaps) : null;
+
+  if (pending !== null && earlierGap !== null && pending > earlierGap) recentGaps.push(pending);
+
+  return {
+    earlierLength: statistic(earlier.map((m) => m.length)),
+    recentLength: average(recent.map((m) => m.length)),
+    earlierGap,
+    recentGap: recentGaps.length > 0 ? average(recentGaps) : null,
+  };
+}
+
+// Fenced blocks run to their closing fence, or to the end of an unclosed paste.
+const FENCED_CODE = /(```|~~~)[\s\S]*?(?:\1|$)/g;
+const INLINE_CODE = /`[^`\n]+`/g;
+const QUOTED_LINE = /^[ \t]*>.*$/gm;
+const SENTENCE_END = /(?<=[.!?\u3002\uff01\uff1f])\s*|\n+/u;
+
+/**
+ * The user's own words: the text without code blocks, inline code or
+ * quoted (`>`) lines. A pasted stack trace or a quoted reply isn't the
+ * user asking for anything.
+ */
+export function prose(text) {
+  return text.replace(FENCED_CODE, " ").replace(INLINE_CODE, " ").replace(QUOTED_LINE, "");
+}
+
+/** Split prose into trimmed, non-empty sentences. */
+function sentences(text) {
+  return text
+    .split(SENTENCE_END)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+/** The term a request to do it again is folded into. No tokeniser produces it. */
+export const REPEAT = "\u21bb";
+
+/**
+ * Compile a text → content-term list function: tokens minus the locale
+ * packs' stop words, with light suffix stripping. A request to do it
+ * again ("once more", "nochmal", "もう一度") is folded into one shared
+ * term, `REPEAT`, however it is worded. Used by the "content-cosine" and
+ * "jaccard" similarities.
+ *
+ * @param {Array<string|Object>} [locales=['en']]
+ * @returns {(text: string) => string[]}
+ */
+export function contentTerms(locales = ["en"]) {
+  const { stopWords, suffixes, repeats } = mergeLocalePacks(locales, "similarity", [
+    "stopWords",
+    "suffixes",
+    "repeats",
+  ]);
+  const stop = new Set(stopWords);
+  // Longest first, so "ings" is tried before "s" and "one more time" before "one more".
+  const bySize = [...suffixes].sort((a, b) => b.length - a.length);
+  const markers = repeats.map((phrase) => tokenise(phrase)).sort((a, b) => b.length - a.length);
+
+  return (text) => {
+    const tokens = tokenise(text);
+    const terms = [];
+    for (let i = 0; i < tokens.length; ) {
+      const marker = markers.find((words) => words.every((word, j) => tokens[i + j] === word));
+      if (marker) {
+        terms.push(REPEAT);
+        i += marker.length;
+      } else if (!stop.has(tokens[i])) {
+        terms.push(stem(tokens[i++], bySize));
+      } else {
+        i++;
+      }
+    }
+    return terms;
+  };
+}
+
+/**
+ * The same content terms as a set. Shared by the "jaccard" similarity
+ * and `detectScopeCreep`.
+ *
+ * @param {Array<string|Object>} [locales=['en']]
+ * @returns {(text: string) => Set<string>}
+ */
+export function termExtractor(locales = ["en"]) {
+  const terms = contentTerms(locales);
+  return (text) => new Set(terms(text));
+}
+
+/** Strip the longest matching suffix, keeping at least three characters of stem. */
+function stem(token, suffixes) {
+  for (const suffix of suffixes) {
+    if (token.endsWith(suffix) && token.length - suffix.length >= 3) {
+      return token.slice(0, -suffix.length);
+    }
+  }
+  return token;
+}
+
+// --- Phrase matching ---
+
+const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Script=Thai}]/u;
+const CLAUSE_BREAK = /[.,;:!?()\n。、！？]/u;
+const NEGATION_WINDOW = 2;
+
+/** Lowercase, unify apostrophes and collapse whitespace. */
+export function normalisePhrase(text) {
+  return text.toLowerCase().replace(/[\u2018\u2019\u02bc]/g, "'").replace(/\s+/g, " ").trim();
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Build a regex for a phrase that only matches on word boundaries.
+ * Scripts written without spaces (CJK, Thai) have no word boundaries
+ * to match on, so phrases in them match as plain substrings.
+ */
+function phrasePattern(phrase) {
+  const body = escapeRegExp(normalisePhrase(phrase)).replace(/ /g, "\\s+");
+  if (UNSPACED_SCRIPT.test(phrase)) return new RegExp(body, "gu");
+  return new RegExp(`(?<![\\p{L}\\p{N}_])${body}(?![\\p{L}\\p{N}_])`, "gu");
+}
+
+/**
+ * True when the text just before `index` negates what follows it:
+ * one of the negations within the last few words of the same clause.
+ */
+function isNegated(text, index, negationPatterns) {
+  if (negationPatterns.length === 0) return false;
+
+  const before = text.slice(0, index);
+  let clauseStart = 0;
+  for (let i = before.length - 1; i >= 0; i--) {
+    if (CLAUSE_BREAK.test(before[i])) {
+      clauseStart = i + 1;
+      break;
+    }
+  }
+
+  const words = before.slice(clauseStart).match(/[\p{L}\p{N}_']+/gu) || [];
+  const tail = words.slice(-NEGATION_WINDOW).join(" ");
+  return negationPatterns.some((pattern) => {
+    pattern.lastIndex = 0;
+    return pattern.test(tail);
+  });
+}
+
+/**
+ * Compile phrase lists into a matcher.
+ *
+ * `phrases` match anywhere on word boundaries, `exactPhrases` only when
+ * they are the whole message (ignoring surrounding punctuation),
+ * `openingPhrases` only when a sentence starts with them, and a phrase
+ * shortly after one of the `negations` does not count.
+ *
+ * @param {{ phrases?: string[], exactPhrases?: string[], openingPhrases?: string[], negations?: string[] }} lists
+ * @returns {(text: string) => boolean}
+ */
+export function compilePhraseMatcher({ phrases = [], exactPhrases = [], openingPhrases = [], negations = [] }) {
+  const patterns = phrases.map(phrasePattern);
+  const exact = new Set(exactPhrases.map(normalisePhrase));
+  const opens = compileOpenerMatcher(openingPhrases);
+  const negationPatterns = negations.map(phrasePattern);
+
+  return (text) => {
+    const normalised = normalisePhrase(text);
+    const bare = normalised.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, "");
+    if (exact.has(bare)) return true;
+    if (openingPhrases.length > 0 && sentences(normalised).some(opens)) return true;
+
+    for (const pattern of patterns) {
+      pattern.lastIndex = 0;
+      let match;
+      while ((match = pattern.exec(normalised)) !== null) {
+        if (!isNegated(normalised, match.index, negationPatterns)) return true;
+      }
+    }
+
+    return false;
+  };
+}
+
+/**
+ * Compile a phrase list into a counter of word-bounded occurrences.
+ * Used for densities, where one match is not the point.
+ *
+ * @param {string[]} phrases
+ * @returns {(text: string) => number}
+ */
+export function compilePhraseCounter(phrases) {
+  const patterns = phrases.map(phrasePattern);
+
+  return (text) => {
+    const normalised = normalisePhrase(text);
+    let count = 0;
+    for (const pattern of patterns) {
+      pattern.lastIndex = 0;
+      while (pattern.exec(normalised) !== null) count++;
+    }
+    return count;
+  };
+}
+
+/**
+ * Compile a list of openers into a test for whether a sentence starts
+ * with one of them, on a word boundary where the script has them.
+ *
+ * @param {string[]} openers
+ * @returns {(sentence: string) => boolean}
+ */
+export function compileOpenerMatcher(openers) {
+  const patterns = openers.map((opener) => {
+    const body = escapeRegExp(normalisePhrase(opener)).replace(/ /g, "\\s+");
+    if (UNSPACED_SCRIPT.test(opener)) return new RegExp(`^${body}`, "u");
+    return new RegExp(`^${body}(?![\\p{L}\\p{N}_])`, "u");
+  });
+
+  return (sentence) => {
+    const normalised = normalisePhrase(sentence).replace(/^[^\p{L}\p{N}]+/u, "");
+    return patterns.some((pattern) => pattern.test(normalised));
+  };
+}
+
+/**
+ * Merge one detector's lists from a set of locale packs.
+ * Locales are given as codes from `locales/` or as pack objects.
+ *
+ * @param {Array<string|Object>} locales
+ * @param {string} section - The detector's key within each pack
+ * @param {string[]} [keys] - The lists to merge; each comes back as an array
+ * @returns {Object<string, string[]>}
+ */
+export function mergeLocalePacks(locales, section, keys = ["phrases", "exactPhrases", "openingPhrases", "negations"]) {
+  const merged = Object.fromEntries(keys.map((key) => [key, []]));
+
+  for (const locale of locales) {
+    const pack = typeof locale === "string" ? LOCALES[locale] : locale;
+    if (!pack) throw new Error(`nil-triggers: unknown locale "${locale}"`);
+
+    const lists = pack[section] || {};
+    for (const key of keys) {
+      if (lists[key]) merged[key].push(...lists[key]);
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Compile one locale section's phrase matcher, plus any extra lists
+ * given in the options.
+ */
+function localePhraseMatcher(section, options = {}) {
+  const { locales = ["en"], phrases = [], exactPhrases = [], openingPhrases = [], negations = [] } = options;
+  const merged = mergeLocalePacks(locales, section);
+
+  return compilePhraseMatcher({
+    phrases: [...merged.phrases, ...phrases],
+    exactPhrases: [...merged.exactPhrases, ...exactPhrases],
+    openingPhrases: [...merged.openingPhrases, ...openingPhrases],
+    negations: [...merged.negations, ...negations],
+  });
+}
+
+/** Compile the phrase matcher for `detectExplicitPause` from its options. */
+export function pauseMatcher(options = {}) {
+  return localePhraseMatcher("pause", options);
+}
+
+/**
+ * Compile the acceptance test shared by `detectLoop` and `detectSaturation`.
+ *
+ * A message counts as accepted when the host app's `isAccepted` callback
+ * says so (for apps with an explicit accept button), or when a user
+ * message contains an acceptance phrase. `false` turns acceptance off.
+ *
+ * @param {false|{ isAccepted?: (message: Object) => boolean, locales?: Array<string|Object>, phrases?: string[], exactPhrases?: string[], negations?: string[] }} [acceptance]
+ * @returns {(message: Object) => boolean}
+ */
+export function acceptanceMatcher(acceptance = {}) {
+  if (acceptance === false) return () => false;
+
+  const { isAccepted, ...lists } = acceptance;
+  const matches = localePhraseMatcher("acceptance", lists);
+
+  return (message) =>
+    Boolean(isAccepted && isAccepted(message)) ||
+    (message.role === "user" && matches(message.content));
+}
+
+/**
+ * Compile the test for whether a user message asks for more of the same,
+ * for `detectSaturation`. `requestPatterns` replaces the locale packs'
+ * phrases; `extraRequestPatterns` adds to them. Either may hold phrases
+ * (matched on word boundaries) or regular expressions.
+ *
+ * @param {{
+ *   locales?: Array<string|Object>,
+ *   requestPatterns?: Array<string|RegExp>,
+ *   extraRequestPatterns?: Array<string|RegExp>,
+ * }} [options]
+ * @returns {(content: string) => boolean}
+ */
+export function requestMatcher(options = {}) {
+  const { locales = ["en"], requestPatterns, extraRequestPatterns = [] } = options;
+
+  const phrases = [];
+  const expressions = [];
+  const lists = { requestPatterns: requestPatterns ?? [], extraRequestPatterns };
+  for (const [name, patterns] of Object.entries(lists)) {
+    for (const pattern of patterns) {
+      if (typeof pattern === "string") phrases.push(pattern);
+      else if (pattern instanceof RegExp) expressions.push(pattern);
+      else {
+        throw new Error(
+          `nil-triggers: ${name} must be strings or regular expressions, got ${describe(pattern)}`
+        );
+      }
+    }
+  }
+
+  const matches = localePhraseMatcher("saturation", {
+    locales: requestPatterns ? [] : locales,
+    phrases,
+  });
+  return (content) =>
+    matches(content) ||
+    expressions.some((expression) => {
+      expression.lastIndex = 0;
+      return expression.test(content);
+    });
+}
+
+/**
+ * Compile the test for whether an assistant reply is long enough to
+ * count as substantive: `minAssistantWords` words, or, given only the
+ * deprecated `minAssistantLength`, that many characters.
+ *
+ * @param {{ minAssistantWords?: number, minAssistantLength?: number }} [options]
+ * @returns {(content: string) => boolean}
+ */
+export function substantiveTest({ minAssistantWords, minAssistantLength } = {}) {
+  if (minAssistantWords === undefined && minAssistantLength !== undefined) {
+    return (content) => content.length >= minAssistantLength;
+  }
+  const words = minAssistantWords ?? 35;
+  return (content) => tokenise(content).length >= words;
+}
+
+/** Index of the last accepted message, or -1 if none was. */
+export function lastAcceptance(messages, accepts) {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (accepts(messages[i])) return i;
+  }
+  return -1;
+}
+
+/** Compile the hedge counter for `detectHedging` from its options. */
+export function hedgeCounter(options = {}) {
+  const { locales = ["en"], phrases = [] } = options;
+  return compilePhraseCounter([...mergeLocalePacks(locales, "hedging").phrases, ...phrases]);
+}
+
+/**
+ * What `detectDiminishingNovelty` needs from one assistant reply:
+ * its word count and its distinct tokens.
+ */
+export function noveltyEntry(content) {
+  const tokens = tokenise(content);
+  return { words: tokens.length, vocabulary: new Set(tokens) };
+}
+
+/**
+ * Share of each reply's distinct tokens that no earlier reply in the
+ * window used. The first reply has nothing to compare with and is skipped.
+ */
+export function noveltyRatios(entries) {
+  const seen = new Set(entries.length > 0 ? entries[0].vocabulary : []);
+  const ratios = [];
+
+  for (const entry of entries.slice(1)) {
+    let fresh = 0;
+    for (const token of entry.vocabulary) {
+      if (!seen.has(token)) fresh++;
+    }
+    ratios.push(entry.vocabulary.size === 0 ? 0 : fresh / entry.vocabulary.size);
+    for (const token of entry.vocabulary) seen.add(token);
+  }
+
+  return ratios;
+}
+
+/**
+ * Compile what `detectScopeCreep` needs from one user message: the
+ * length of its prose, its content terms, and the terms of each ask in
+ * it. An ask is a sentence that is a question or opens like a request
+ * ("can you", "what about", "also"), from the locale packs.
+ *
+ * @param {{ locales?: Array<string|Object> }} [options]
+ * @returns {(content: string) => { length: number, terms: Set<string>, asks: Set<string>[] }}
+ */
+export function scopeEntryReader(options = {}) {
+  const { locales = ["en"] } = options;
+  const terms = termExtractor(locales);
+  const opensAsk = compileOpenerMatcher(mergeLocalePacks(locales, "scopeCreep", ["askOpeners"]).askOpeners);
+
+  return (content) => {
+    const text = prose(content);
+    const asks = sentences(text)
+      .filter((sentence) => /[?\uff1f]$/u.test(sentence) || opensAsk(sentence))
+      .map(terms);
+    return { length: text.trim().length, terms: terms(text), asks };
+  };
+}
+
+/**
+ * Measure scope over an earlier and a recent window of entries, oldest
+ * first. Each recent message's novelty is the share of its terms that
+ * no message before it used; an ask is new when it brings at least one
+ * unseen term. A conversation converging on what it already discussed
+ * has low novelty and few new asks.
+ */
+export function scopeCreepMeasures({ earlier, recent }) {
+  const seen = new Set();
+  const newAsks = (entry) => entry.asks.filter((ask) => [...ask].some((t) => !seen.has(t))).length;
+  const remember = (entry) => {
+    for (const term of entry.terms) seen.add(term);
+  };
+
+  let earlierAsks = 0;
+  for (const entry of earlier) {
+    earlierAsks += newAsks(entry);
+    remember(entry);
+  }
+  const earlierVocabulary = seen.size;
+
+  let recentAsks = 0;
+  const novelty = [];
+  for (const entry of recent) {
+    recentAsks += newAsks(entry);
+    let fresh = 0;
+    for (const term of entry.terms) {
+      if (!seen.has(term)) fresh++;
+    }
+    novelty.push(entry.terms.size === 0 ? 0 : fresh / entry.terms.size);
+    remember(entry);
+  }
+
+  return {
+    earlierLength: average(earlier.map((e) => e.length)),
+    recentLength: average(recent.map((e) => e.length)),
+    novelty: earlierVocabulary === 0 ? null : average(novelty),
+    earlierAsks,
+    recentAsks,
+  };
+}
+
+/** The user's current turn: user messages since the last assistant message. */
+export function currentUserTurn(messages) {
+  const turn = [];
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (messages[i].role === "assistant") break;
+    if (messages[i].role === "user") turn.unshift(messages[i]);
+  }
+  return turn;
+}
+
+// --- Verdicts ---
+//
+// Each verdict returns an assessment: whether the detector fired, a
+// score from 0 to 1 for how close it came (1 only when it fired), and
+// a machine-readable reason naming the metric that decided it, its
+// value and the threshold it was held against.
+
+/**
+ * @typedef {Object} Assessment
+ * @property {boolean} fired
+ * @property {number} score - 0-1; 1 means the detector fired
+ * @property {{ metric: string, value: number|null, threshold: number }} reason
+ */
+
+/** @returns {Assessment} */
+export function assessment(fired, score, metric, value, threshold) {
+  const bounded = Number.isFinite(score) ? Math.min(1, Math.max(0, score)) : fired ? 1 : 0;
+  return {
+    fired,
+    score: fired ? 1 : Math.min(bounded, 0.99),
+    reason: { metric, value, threshold },
+  };
+}
+
+/** Not enough messages of the right kind to judge yet. */
+export function insufficientData(count, needed) {
+  return assessment(false, 0, "messages", count, needed);
+}
+
+/**
+ * Compare a ratio with a threshold and grade the distance from 1
+ * (no change) towards the threshold. `direction` says which side
+ * of the threshold fires.
+ */
+function ratioCheck(value, threshold, direction) {
+  if (direction === "below") {
+    const fired = value <= threshold;
+    return { fired, score: threshold < 1 ? (1 - value) / (1 - threshold) : fired ? 1 : 0 };
+  }
+  const fired = value >= threshold;
+  return { fired, score: threshold > 1 ? (value - 1) / (threshold - 1) : fired ? 1 : 0 };
+}
+
+/** Tier 1: a pause phrase either matched or it didn't. */
+export function explicitPauseVerdict(matched) {
+  return assessment(matched, matched ? 1 : 0, "phrase", matched ? 1 : 0, 1);
+}
+
+/**
+ * Loop: every consecutive pair in the recent window is similar enough.
+ * Graded by the least similar pair.
+ * @param {number[]} similarities
+ */
+export function loopVerdict(similarities, { similarityFloor }) {
+  const lowest = similarities.length > 0 ? Math.min(...similarities) : 1;
+  return assessment(
+    similarities.every((s) => s >= similarityFloor),
+    similarityFloor > 0 ? lowest / similarityFloor : 1,
+    "minSimilarity",
+    lowest,
+    similarityFloor
+  );
+}
+
+/**
+ * Velocity collapse: recent length fell, or recent gaps grew.
+ * Gaps are null when there are not enough messages to measure them.
+ * Reports whichever measure fired, or else whichever came closer.
+ */
+export function velocityVerdict(
+  { earlierLength, recentLength, earlierGap, recentGap },
+  { lengthDropRatio, frequencyDropRatio }
+) {
+  const measures = [];
+
+  if (earlierLength > 0) {
+    const value = recentLength / earlierLength;
+    measures.push({
+      metric: "lengthRatio",
+      value,
+      threshold: lengthDropRatio,
+      ...ratioCheck(value, lengthDropRatio, "below"),
+    });
+  }
+
+  if (earlierGap !== null && recentGap !== null && earlierGap > 0) {
+    const value = recentGap / earlierGap;
+    measures.push({
+      metric: "gapRatio",
+      value,
+      threshold: frequencyDropRatio,
+      ...ratioCheck(value, frequencyDropRatio, "above"),
+    });
+  }
+
+  if (measures.length === 0) return assessment(false, 0, "lengthRatio", null, lengthDropRatio);
+
+  const decisive =
+    measures.find((m) => m.fired) || measures.reduce((a, b) => (b.score > a.score ? b : a));
+  return assessment(decisive.fired, decisive.score, decisive.metric, decisive.value, decisive.threshold);
+}
+
+/**
+ * Scope creep: the user's prose is getting longer, most of what they
+ * say is new rather than converging on earlier terms, and they bring
+ * at least as many new asks as before. Graded by how far the growth
+ * got plus how many of the other two hold; reports the first
+ * condition that failed.
+ */
+export function scopeCreepVerdict(
+  { earlierLength, recentLength, novelty, earlierAsks, recentAsks },
+  { growthRatio, noveltyFloor }
+) {
+  // Growth from nothing isn't a ratio; empty baselines can't show creep.
+  if (earlierLength === 0 || novelty === null) {
+    return assessment(false, 0, "growthRatio", null, growthRatio);
+  }
+
+  const value = recentLength / earlierLength;
+  const growth = ratioCheck(value, growthRatio, "above");
+  const fresh = novelty >= noveltyFloor;
+  const asking = recentAsks > 0 && recentAsks >= earlierAsks;
+  const score = (Math.max(0, Math.min(1, growth.score)) + (fresh ? 1 : 0) + (asking ? 1 : 0)) / 3;
+
+  if (!growth.fired) return assessment(false, score, "growthRatio", value, growthRatio);
+  if (!fresh) return assessment(false, score, "novelty", novelty, noveltyFloor);
+  if (!asking) return assessment(false, score, "asks", recentAsks, earlierAsks);
+
+  return assessment(true, 1, "novelty", novelty, noveltyFloor);
+}
+
+/**
+ * Saturation: the user asked for more at least twice within the recent
+ * window, after the threshold and since their last acceptance.
+ */
+export function saturationVerdict(requestingMore) {
+  return assessment(requestingMore >= 2, requestingMore / 2, "requestsForMore", requestingMore, 2);
+}
+
+/**
+ * Diminishing novelty: replies keep getting longer while each one says
+ * less that hasn't been said already. Graded by how many of the four
+ * conditions hold: lengths never shrink, overall growth, novelty never
+ * rises, latest novelty under the ceiling.
+ *
+ * @param {{ words: number[], novelty: number[] }} window - Word counts and novelty ratios, oldest first
+ */
+export function noveltyVerdict({ words, novelty }, { growthRatio, noveltyCeiling, minWords }) {
+  const first = words[0];
+  const last = words[words.length - 1];
+
+  if (last < minWords) return assessment(false, 0, "words", last, minWords);
+  if (first === 0) return assessment(false, 0, "growthRatio", null, growthRatio);
+
+  const growthValue = last / first;
+  const latestNovelty = novelty[novelty.length - 1];
+
+  const lengthening = words.every((w, i) => i === 0 || w >= words[i - 1]);
+  const growing = ratioCheck(growthValue, growthRatio, "above").fired;
+  const shrinking = novelty.every((n, i) => i === 0 || n <= novelty[i - 1]);
+  const underCeiling = latestNovelty <= noveltyCeiling;
+
+  const met = [lengthening, growing, shrinking, underCeiling].filter(Boolean).length;
+
+  if (!lengthening || !growing) {
+    return assessment(false, met / 4, "growthRatio", growthValue, growthRatio);
+  }
+  return assessment(met === 4, met / 4, "novelty", latestNovelty, noveltyCeiling);
+}
+
+/**
+ * Hedging: caveat density in recent replies is high, and has risen
+ * against the replies before them. Densities are hedges per 100 words.
+ * Graded by whichever of the two conditions is further from holding.
+ */
+export function hedgingVerdict({ earlierDensity, recentDensity }, { minDensity, riseRatio }) {
+  const densityScore = minDensity > 0 ? recentDensity / minDensity : 1;
+
+  const riseValue = earlierDensity === 0 ? null : recentDensity / earlierDensity;
+  const rise =
+    riseValue === null ? { fired: true, score: 1 } : ratioCheck(riseValue, riseRatio, "above");
+
+  const score = Math.min(densityScore, rise.score);
+
+  if (recentDensity < minDensity) {
+    return assessment(false, score, "hedgeDensity", recentDensity, minDensity);
+  }
+  if (!rise.fired) return assessment(false, score, "hedgeRise", riseValue, riseRatio);
+
+  return assessment(true, 1, "hedgeDensity", recentDensity, minDensity);
+}
+
+/** Hedges per 100 words across a set of replies. */
+export function hedgeDensity(entries) {
+  const words = entries.reduce((sum, e) => sum + e.words, 0);
+  const hedges = entries.reduce((sum, e) => sum + e.hedges, 0);
+  return words === 0 ? 0 : (hedges / words) * 100;
+}
+
+// --- Combination ---
+
+/**
+ * Combine per-detector assessments under a policy.
+ *
+ * `user-invoked` is the user asking in so many words, so it triggers
+ * whatever the policy says and does not count towards it.
+ *
+ * Policies:
+ * - "any" (default): any detector fired
+ * - "all": every detector in the pool fired
+ * - { type: "k-of-n", k }: at least k fired
+ * - { type: "weighted", threshold, weights? }: sum of weight × score reaches threshold (weights default to 1)
+ *
+ * Object policies may also carry `signals`, limiting the pool to those names.
+ *
+ * @param {Array<{ signal: string } & Assessment>} assessed
+ * @param {Object} options - `check()` options
+ */
+export function combine(assessed, { policy = "any", detailed = false }) {
+  const spec = typeof policy === "string" ? { type: policy } : policy;
+  const signals = assessed.filter((a) => a.fired).map((a) => a.signal);
+
+  const explicit = assessed.some((a) => a.signal === "user-invoked" && a.fired);
+  const pool = assessed.filter(
+    (a) => a.signal !== "user-invoked" && (!spec.signals || spec.signals.includes(a.signal))
+  );
+  const fired = pool.filter((a) => a.fired).length;
+
+  let triggered;
+  let score;
+
+  switch (spec.type) {
+    case "any":
+      triggered = fired > 0;
+      break;
+    case "all":
+      triggered = pool.length > 0 && fired === pool.length;
+      break;
+    case "k-of-n":
+      if (!Number.isInteger(spec.k) || spec.k < 1) {
+        throw new Error('nil-triggers: "k-of-n" policy needs a positive integer k');
+      }
+      triggered = fired >= spec.k;
+      break;
+    case "weighted": {
+      if (typeof spec.threshold !== "number") {
+        throw new Error('nil-triggers: "weighted" policy needs a numeric threshold');
+      }
+      const weights = spec.weights || {};
+      score = pool.reduce((sum, a) => sum + (weights[a.signal] ?? 1) * a.score, 0);
+      triggered = score >= spec.threshold;
+      break;
+    }
+    default:
+      throw new Error(`nil-triggers: unknown policy "${spec.type}"`);
+  }
+
+  const result = { triggered: triggered || explicit, signals };
+
+  if (detailed) {
+    if (score !== undefined) result.score = score;
+    result.details = Object.fromEntries(
+      assessed.map(({ signal, fired: f, score: s, reason }) => [signal, { fired: f, score: s, reason }])
+    );
+  }
+
+  return result;
+}
+
+/** A detector's return value: the boolean by default, the assessment when asked. */
+export function outcome(result, options) {
+  return options.detailed ? result : result.fired;
+}
@@ -0,0 +1,63 @@
+/**
+ * German phrase pack.
+ */
+export default {
+  pause: {
+    phrases: [
+      "ich brauche eine minute",
+      "ich brauche einen moment",
+      "ich brauche eine pause",
+      "gib mir eine minute",
+      "gib mir einen moment",
+      "lass mich nachdenken",
+      "hör auf zu helfen",
+      "hör bitte auf",
+      "bitte aufhören",
+      "genug für jetzt",
+      "lass uns pausieren",
+    ],
+    exactPhrases: ["pause", "stopp", "halt", "genug", "warte"],
+    negations: ["nicht", "kein", "keine", "nie", "niemals"],
+  },
+
+  similarity: {
+    stopWords: [
+      "der", "die", "das", "den", "dem", "des", "ein", "eine", "einen", "und", "oder",
+      "aber", "zu", "in", "im", "um", "auf", "an", "für", "mit", "ist", "sind", "es", "du",
+      "ich", "wir", "sie", "mir", "mich", "bitte", "noch", "mal", "kannst", "kann",
+      "etwas", "bisschen", "mein", "meine", "meinen", "meinem", "dein", "deine",
+    ],
+    suffixes: ["ungen", "ung", "heit", "keit", "en", "er", "es", "e", "n", "s"],
+    repeats: ["nochmal", "noch mal", "noch einmal", "erneut", "wieder", "neu"],
+  },
+
+  scopeCreep: {
+    askOpeners: [
+      "außerdem", "auch noch", "kannst du", "könntest du", "können wir", "sollten wir",
+      "was ist mit", "und was ist mit", "wie wäre es mit", "wenn wir schon dabei sind",
+    ],
+  },
+
+  saturation: {
+    phrases: [
+      "noch mehr", "mehr", "noch eine", "noch einen", "noch ein paar", "weitere", "andere",
+      "was noch", "sonst noch", "was ist mit", "wie wäre es mit", "gib mir",
+    ],
+    negations: ["nicht", "kein", "keine", "nichts"],
+  },
+
+  acceptance: {
+    phrases: [
+      "das passt",
+      "passt so",
+      "perfekt",
+      "sieht gut aus",
+      "klingt gut",
+      "genau das",
+      "so machen wir es",
+      "nehmen wir",
+    ],
+    exactPhrases: ["ok", "okay", "gut", "super", "danke", "ja", "fertig"],
+    negations: ["nicht", "kein", "keine", "nie"],
+  },
+};
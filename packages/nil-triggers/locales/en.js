@@ -0,0 +1,144 @@
+/**
+ * English phrase pack.
+ */
+export default {
+  pause: {
+    // Matched anywhere in the message, on word boundaries.
+    phrases: [
+      "i need a minute",
+      "i need a moment",
+      "i need a second",
+      "i need a pause",
+      "i need to pause",
+      "i need to step away",
+      "give me a minute",
+      "give me a moment",
+      "give me a second",
+      "let me breathe",
+      "stop helping",
+      "stop for now",
+      "enough for now",
+      "that's enough for now",
+      "can we pause",
+      "let's pause",
+    ],
+    // Matched only when they are the whole message. Each of these also
+    // turns up inside ordinary requests ("please stop adding comments",
+    // "take a break statement out", "give me a break statement example",
+    // "let me think... compare A and B").
+    exactPhrases: [
+      "nil",
+      "pause",
+      "stop",
+      "enough",
+      "please stop",
+      "stop now",
+      "i need a break",
+      "give me a break",
+      "take a break",
+      "let me think",
+    ],
+    // A phrase within two words after one of these, in the same clause, does not count.
+    negations: ["not", "don't", "dont", "never", "won't", "shouldn't"],
+  },
+
+  hedging: {
+    // Caveats and qualifiers in the assistant's own replies. Counted, not just matched.
+    phrases: [
+      "however",
+      "that said",
+      "it depends",
+      "depending on",
+      "might",
+      "may",
+      "could",
+      "perhaps",
+      "possibly",
+      "potentially",
+      "generally",
+      "typically",
+      "usually",
+      "arguably",
+      "in some cases",
+      "keep in mind",
+      "bear in mind",
+      "note that",
+      "it's important to",
+      "it's worth noting",
+      "i'm not sure",
+      "not necessarily",
+      "consult a",
+      "on the other hand",
+      "ultimately",
+    ],
+  },
+
+  similarity: {
+    // Dropped, and suffix-stripped, by the "cosine" and "jaccard" similarities.
+    // Besides function words: the filler around a request ("give me",
+    // "it's still a bit off") that says nothing about what is asked for.
+    stopWords: [
+      "a", "an", "the", "and", "or", "but", "of", "to", "in", "on", "at", "for", "with",
+      "is", "are", "was", "be", "it", "it's", "this", "that", "these", "those", "i", "you",
+      "me", "my", "your", "we", "can", "could", "would", "will", "please", "just", "some",
+      "bit", "now", "do", "make", "let's", "can't", "don't", "have", "give", "so", "too",
+      "more", "still", "something", "feel", "feels", "off", "hmm", "mean", "try", "one",
+    ],
+    suffixes: ["ings", "ing", "edly", "ed", "es", "s", "ly", "er", "est", "e"],
+    // Asking for it again, in so many words. Folded into one shared term.
+    repeats: [
+      "again", "another", "once more", "one more", "one more time", "one more attempt",
+      "another go", "another pass", "another attempt", "another take", "another version",
+      "try again", "redo", "take another pass", "have another go",
+    ],
+  },
+
+  scopeCreep: {
+    // Sentences opening like this are asks even without a question mark.
+    askOpeners: [
+      "also", "and also", "can you", "could you", "can we", "could we", "should we",
+      "what about", "and what about", "how about", "while you're at it", "while we're at it",
+      "let's also", "i also want", "i'd also like", "add", "include",
+    ],
+  },
+
+  saturation: {
+    // The user asking for more of the same. Matched on word boundaries, so
+    // "more" doesn't match "furthermore".
+    phrases: [
+      "can you also", "and also", "what about", "how about", "another", "more", "one more",
+      "a few more", "anything else", "what else", "other options", "alternatives", "give me",
+      "additionally", "keep going",
+    ],
+    negations: ["no", "not", "nothing", "don't", "dont", "never"],
+  },
+
+  acceptance: {
+    // The user taking an output. Resets loop and saturation counting.
+    phrases: [
+      "that works",
+      "this works",
+      "ship it",
+      "looks good",
+      "looks great",
+      "sounds good",
+      "that's great",
+      "that's it",
+      "that's the one",
+      "exactly what i wanted",
+      "exactly what i needed",
+      "love it",
+      "nailed it",
+      "let's go with",
+      "i'll go with",
+      "go with that",
+      "i'll use that",
+      "i'll take it",
+    ],
+    exactPhrases: ["ok", "okay", "great", "good", "done", "yes", "nice", "thanks", "thank you"],
+    // Matched only at the start of a sentence ("perfect, thanks"), not
+    // in a request ("make it perfect", "still not perfect").
+    openingPhrases: ["perfect"],
+    negations: ["not", "don't", "isn't", "doesn't", "wasn't", "never", "hardly"],
+  },
+};
@@ -0,0 +1,62 @@
+/**
+ * Spanish phrase pack.
+ */
+export default {
+  pause: {
+    phrases: [
+      "necesito un minuto",
+      "necesito un momento",
+      "necesito una pausa",
+      "dame un minuto",
+      "dame un momento",
+      "dame un respiro",
+      "déjame pensar",
+      "deja de ayudar",
+      "deja de ayudarme",
+      "basta por ahora",
+      "hagamos una pausa",
+    ],
+    exactPhrases: ["pausa", "para", "basta", "espera"],
+    negations: ["no", "nunca", "jamás"],
+  },
+
+  similarity: {
+    stopWords: [
+      "el", "la", "los", "las", "un", "una", "unos", "unas", "y", "o", "pero", "de", "del",
+      "a", "al", "en", "por", "para", "con", "es", "son", "este", "esta", "yo", "tú", "me",
+      "te", "nos", "puedes", "puede", "favor", "poco", "dame", "uno", "una", "más",
+    ],
+    suffixes: ["amente", "mente", "ciones", "ción", "es", "as", "os", "a", "o", "s"],
+    repeats: ["otro", "otra", "otra vez", "de nuevo", "una vez más"],
+  },
+
+  scopeCreep: {
+    askOpeners: [
+      "también", "además", "puedes", "podrías", "podemos", "y qué tal", "qué tal",
+      "ya que estamos", "y si",
+    ],
+  },
+
+  saturation: {
+    phrases: [
+      "más", "otro", "otra", "otros", "otras", "algo más", "qué más", "y qué tal", "qué tal",
+      "dame",
+    ],
+    negations: ["no", "nada", "nunca"],
+  },
+
+  acceptance: {
+    phrases: [
+      "eso funciona",
+      "perfecto",
+      "me sirve",
+      "se ve bien",
+      "suena bien",
+      "justo lo que",
+      "me quedo con",
+      "vamos con",
+    ],
+    exactPhrases: ["ok", "vale", "bien", "genial", "gracias", "sí", "listo"],
+    negations: ["no", "nunca"],
+  },
+};
@@ -0,0 +1,61 @@
+/**
+ * French phrase pack.
+ */
+export default {
+  pause: {
+    phrases: [
+      "j'ai besoin d'une minute",
+      "j'ai besoin d'un moment",
+      "j'ai besoin d'une pause",
+      "donne-moi une minute",
+      "donne-moi un moment",
+      "laisse-moi réfléchir",
+      "arrête d'aider",
+      "arrête de m'aider",
+      "ça suffit pour l'instant",
+      "faisons une pause",
+    ],
+    exactPhrases: ["pause", "stop", "assez", "attends"],
+    negations: ["ne", "n'", "pas", "jamais"],
+  },
+
+  similarity: {
+    stopWords: [
+      "le", "la", "les", "l'", "un", "une", "des", "du", "de", "d'", "et", "ou", "mais",
+      "à", "au", "aux", "en", "dans", "sur", "pour", "avec", "est", "sont", "ce", "cette",
+      "je", "tu", "vous", "nous", "me", "moi", "te", "s'il", "plait", "plaît", "peux",
+      "pouvez", "fois",
+    ],
+    suffixes: ["ements", "ement", "ions", "ion", "es", "er", "ez", "re", "s", "e"],
+    repeats: ["encore", "encore une fois", "une fois de plus", "de nouveau", "à nouveau", "un autre", "une autre"],
+  },
+
+  scopeCreep: {
+    askOpeners: [
+      "aussi", "en plus", "tu peux", "peux-tu", "pourrais-tu", "est-ce que tu peux",
+      "est-ce qu'on pourrait", "et si", "et pourquoi pas", "qu'en est-il de",
+    ],
+  },
+
+  saturation: {
+    phrases: [
+      "encore", "d'autres", "un autre", "une autre", "autre chose", "quoi d'autre",
+      "qu'en est-il", "et pour", "donne-moi", "plus d'idées", "plus d'options",
+    ],
+    negations: ["pas", "plus", "rien", "jamais"],
+  },
+
+  acceptance: {
+    phrases: [
+      "ça marche",
+      "parfait",
+      "c'est bon",
+      "ça me va",
+      "c'est exactement",
+      "on part là-dessus",
+      "je prends",
+    ],
+    exactPhrases: ["ok", "d'accord", "super", "merci", "oui", "génial"],
+    negations: ["ne", "n'", "pas", "jamais"],
+  },
+};
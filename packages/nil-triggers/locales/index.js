@@ -0,0 +1,14 @@
+/**
+ * Locale phrase packs.
+ *
+ * Each pack is keyed by detector. Pass locale codes (or your own pack
+ * objects in the same shape) via a detector's `locales` option.
+ */
+
+import en from "./en.js";
+import de from "./de.js";
+import fr from "./fr.js";
+import es from "./es.js";
+import ja from "./ja.js";
+
+export const LOCALES = { en, de, fr, es, ja };
@@ -0,0 +1,47 @@
+/**
+ * Japanese phrase pack.
+ *
+ * Japanese is written without spaces, so these phrases are matched as
+ * substrings rather than on word boundaries.
+ */
+export default {
+  pause: {
+    phrases: [
+      "ちょっと待って",
+      "少し待って",
+      "少し時間をください",
+      "休憩したい",
+      "一旦止めて",
+      "もう手伝わないで",
+      "考えさせて",
+    ],
+    exactPhrases: ["待って", "ストップ", "休憩", "止めて"],
+    negations: [],
+  },
+
+  similarity: {
+    // Particles, auxiliaries and polite request endings, as the word
+    // segmenter splits them. Japanese has no suffixes to strip here.
+    stopWords: [
+      "の", "を", "が", "に", "は", "で", "と", "も", "て", "た", "し", "ます", "です",
+      "くだ", "さい", "ください", "お願い", "もっと", "少し", "ちょっと",
+    ],
+    suffixes: [],
+    repeats: ["もう一度", "もう一回", "もう1回", "再度", "また", "別の", "もう一つ", "もうひとつ"],
+  },
+
+  scopeCreep: {
+    askOpeners: ["あと", "それと", "ついでに", "さらに", "それから", "ちなみに"],
+  },
+
+  saturation: {
+    phrases: ["もっと", "他に", "ほかに", "別の", "もう一つ", "もうひとつ", "追加で"],
+    negations: [],
+  },
+
+  acceptance: {
+    phrases: ["完璧", "それでいい", "それでお願いします", "いいですね", "ばっちり", "それにします"],
+    exactPhrases: ["ok", "オッケー", "はい", "ありがとう", "いいね"],
+    negations: [],
+  },
+};
@@ -0,0 +1,386 @@
+/**
+ * Incremental monitor.
+ *
+ * `check()` re-reads the whole history every time it is called. For
+ * long sessions that check after every turn, `createMonitor()` ingests
+ * one message at a time instead and keeps only what the detectors'
+ * windows need: the last few token vectors, a handful of lengths and
+ * timestamps, and a few running sums. Per-turn cost does not grow with
+ * the length of the conversation.
+ *
+ * `push()` returns exactly what `check()` would return for the full
+ * history up to that message. `check()` returns the same again without
+ * a new message — with a `velocityCollapse.now` clock, call it on a
+ * timer to notice the user going quiet.
+ *
+ * Nothing else is kept. Call `reset()` between conversations and
+ * `dispose()` when you are finished with it.
+ */
+
+import {
+  tokenise,
+  baselineStatistic,
+  readClock,
+  pendingGap,
+  velocityMeasures,
+  scopeEntryReader,
+  scopeCreepMeasures,
+  requestMatcher,
+  substantiveTest,
+  pauseMatcher,
+  acceptanceMatcher,
+  hedgeCounter,
+  noveltyEntry,
+  noveltyRatios,
+  hedgeDensity,
+  assessment,
+  insufficientData,
+  explicitPauseVerdict,
+  loopVerdict,
+  velocityVerdict,
+  scopeCreepVerdict,
+  saturationVerdict,
+  noveltyVerdict,
+  hedgingVerdict,
+  combine,
+  messageProblem,
+  inputError,
+  validateOptions,
+} from "./internal.js";
+import { resolveSimilarity } from "./similarity.js";
+
+/**
+ * @typedef {import("./index.js").Message} Message
+ */
+
+/**
+ * Create an incremental monitor.
+ *
+ * @param {Object} [options] - Per-detector options keyed by detector name, plus `policy`,
+ *   `detailed` and `strict`, as for `check()`. Errors name the message by how many were pushed before it.
+ * @returns {{
+ *   push: (message: Message) => ReturnType<typeof import("./index.js").check>,
+ *   check: () => ReturnType<typeof import("./index.js").check>,
+ *   reset: () => void,
+ *   dispose: () => void,
+ * }}
+ */
+export function createMonitor(options = {}) {
+  validateOptions(options, "check", "createMonitor");
+  const { strict = true } = options;
+
+  let trackers = createTrackers(options);
+  let disposed = false;
+  let pushed = 0;
+  let lastTimestamp = null;
+
+  const assess = () =>
+    combine(
+      trackers.map((tracker) => ({ signal: tracker.signal, ...tracker.assess() })),
+      options
+    );
+
+  return {
+    push(message) {
+      if (disposed) throw new Error("nil-triggers: monitor has been disposed");
+
+      // Same checks as validateMessages(), one message at a time.
+      const issue = messageProblem(message, lastTimestamp);
+      const index = pushed++;
+
+      if (issue && strict) throw inputError(index, issue);
+
+      if (!issue) {
+        if (message.timestamp !== null) lastTimestamp = message.timestamp;
+        for (const tracker of trackers) tracker.push(message);
+      }
+
+      return assess();
+    },
+
+    check() {
+      if (disposed) throw new Error("nil-triggers: monitor has been disposed");
+      return assess();
+    },
+
+    reset() {
+      if (disposed) return;
+      trackers = createTrackers(options);
+      pushed = 0;
+      lastTimestamp = null;
+    },
+
+    dispose() {
+      disposed = true;
+      trackers = [];
+    },
+  };
+}
+
+// --- Trackers ---
+//
+// One per detector, in the same order `check()` reports signals. Each
+// takes messages one at a time and assesses its current window.
+
+function createTrackers(options) {
+  return [
+    explicitPauseTracker(options.explicitPause),
+    similarityTracker("loop", "user", {
+      threshold: 3,
+      similarityFloor: 0.6,
+      acceptance: options.acceptance,
+      ...options.loop,
+    }),
+    velocityCollapseTracker(options.velocityCollapse),
+    scopeCreepTracker(options.scopeCreep),
+    saturationTracker({ acceptance: options.acceptance, ...options.saturation }),
+    similarityTracker("self-repetition", "assistant", {
+      threshold: 3,
+      similarityFloor: 0.7,
+      acceptance: false,
+      ...options.selfRepetition,
+    }),
+    diminishingNoveltyTracker(options.diminishingNovelty),
+    hedgingTracker(options.hedging),
+  ];
+}
+
+/** Whether the user's current turn has asked for a pause. */
+function explicitPauseTracker(options) {
+  const matches = pauseMatcher(options);
+  let paused = false;
+
+  return {
+    signal: "user-invoked",
+
+    push(message) {
+      if (message.role === "assistant") paused = false;
+      if (message.role === "user" && !paused) paused = matches(message.content);
+    },
+
+    assess() {
+      return explicitPauseVerdict(paused);
+    },
+  };
+}
+
+/**
+ * Last `threshold` prepared messages for one role (token vectors, for
+ * the default cosine) and the similarities between them. Serves both
+ * the user loop and assistant self-repetition. An accepted message
+ * clears the window and starts it afresh.
+ */
+function similarityTracker(signal, role, options) {
+  const { threshold, similarityFloor } = options;
+  const strategy = resolveSimilarity(options);
+  const accepts = acceptanceMatcher(options.acceptance);
+
+  const prepared = [];
+  const similarities = [];
+
+  return {
+    signal,
+
+    push(message) {
+      if (accepts(message)) {
+        prepared.length = 0;
+        similarities.length = 0;
+      }
+      if (message.role !== role) return;
+
+      const current = strategy.prepare(message.content);
+      if (prepared.length > 0) {
+        similarities.push(strategy.compare(prepared[prepared.length - 1], current));
+      }
+      prepared.push(current);
+
+      if (prepared.length > threshold) prepared.shift();
+      while (similarities.length > Math.max(threshold - 1, 0)) similarities.shift();
+    },
+
+    assess() {
+      if (prepared.length < threshold) return insufficientData(prepared.length, threshold);
+      return loopVerdict(similarities, { similarityFloor });
+    },
+  };
+}
+
+/**
+ * The last `windowSize + baselineSize` user messages' lengths and
+ * times, and whether the assistant has spoken since the latest.
+ */
+function velocityCollapseTracker(options = {}) {
+  const {
+    lengthDropRatio = 0.3,
+    frequencyDropRatio = 3,
+    windowSize = 4,
+    baselineSize = 20,
+    baseline = "median",
+  } = options;
+  const statistic = baselineStatistic(baseline);
+
+  const window = [];
+  let count = 0;
+  let waiting = false;
+
+  return {
+    signal: "velocity-collapse",
+
+    push(message) {
+      if (message.role === "assistant") waiting = true;
+      if (message.role !== "user") return;
+
+      waiting = false;
+      count++;
+      window.push({ length: message.content.length, timestamp: message.timestamp });
+      if (window.length > windowSize + baselineSize) window.shift();
+    },
+
+    assess() {
+      if (count < windowSize * 2) return insufficientData(count, windowSize * 2);
+
+      const last = window[window.length - 1];
+
+      return velocityVerdict(
+        velocityMeasures(
+          {
+            earlier: window.slice(0, -windowSize),
+            recent: window.slice(-windowSize),
+            pending: pendingGap(last.timestamp, waiting, readClock(options.now)),
+          },
+          statistic
+        ),
+        { lengthDropRatio, frequencyDropRatio }
+      );
+    },
+  };
+}
+
+/** Prose lengths, terms and asks for the last `windowSize * 2` user messages. */
+function scopeCreepTracker(options = {}) {
+  const { windowSize = 5, growthRatio = 1.5, noveltyFloor = 0.5 } = options;
+  const read = scopeEntryReader(options);
+
+  const window = [];
+
+  return {
+    signal: "scope-creep",
+
+    push(message) {
+      if (message.role !== "user") return;
+
+      window.push(read(message.content));
+      if (window.length > windowSize * 2) window.shift();
+    },
+
+    assess() {
+      if (window.length < windowSize * 2) return insufficientData(window.length, windowSize * 2);
+
+      return scopeCreepVerdict(
+        scopeCreepMeasures({ earlier: window.slice(0, windowSize), recent: window.slice(windowSize) }),
+        { growthRatio, noveltyFloor }
+      );
+    },
+  };
+}
+
+/**
+ * A count of substantive replies, then whether each of the user's last
+ * `windowSize` messages asked for more since the last acceptance.
+ */
+function saturationTracker(options = {}) {
+  const { assistantResponseThreshold = 3, windowSize = 3 } = options;
+  const isSubstantive = substantiveTest(options);
+  const asksForMore = requestMatcher(options);
+  const accepts = acceptanceMatcher(options.acceptance);
+
+  let substantive = 0;
+  const recent = [];
+
+  return {
+    signal: "saturation",
+
+    push(message) {
+      const accepted = accepts(message);
+      if (accepted) recent.fill(false);
+
+      if (message.role === "assistant" && isSubstantive(message.content)) {
+        substantive++;
+        return;
+      }
+      if (message.role !== "user") return;
+
+      recent.push(
+        !accepted && substantive >= assistantResponseThreshold && asksForMore(message.content)
+      );
+      if (recent.length > windowSize) recent.shift();
+    },
+
+    assess() {
+      if (substantive < assistantResponseThreshold) {
+        return assessment(false, 0, "substantiveResponses", substantive, assistantResponseThreshold);
+      }
+      return saturationVerdict(recent.filter(Boolean).length);
+    },
+  };
+}
+
+/** Word counts and vocabularies for the last `windowSize` assistant replies. */
+function diminishingNoveltyTracker(options = {}) {
+  const { windowSize = 3, growthRatio = 1.2, noveltyCeiling = 0.35, minWords = 40 } = options;
+
+  const window = [];
+
+  return {
+    signal: "diminishing-novelty",
+
+    push(message) {
+      if (message.role !== "assistant") return;
+
+      window.push(noveltyEntry(message.content));
+      if (window.length > windowSize) window.shift();
+    },
+
+    assess() {
+      if (window.length < Math.max(windowSize, 2)) {
+        return insufficientData(window.length, Math.max(windowSize, 2));
+      }
+
+      return noveltyVerdict(
+        { words: window.map((e) => e.words), novelty: noveltyRatios(window) },
+        { growthRatio, noveltyCeiling, minWords }
+      );
+    },
+  };
+}
+
+/** Word and hedge counts for the last `windowSize * 2` assistant replies. */
+function hedgingTracker(options = {}) {
+  const { windowSize = 3, riseRatio = 1.5, minDensity = 2 } = options;
+
+  const countHedges = hedgeCounter(options);
+  const window = [];
+
+  return {
+    signal: "hedging",
+
+    push(message) {
+      if (message.role !== "assistant") return;
+
+      window.push({ words: tokenise(message.content).length, hedges: countHedges(message.content) });
+      if (window.length > windowSize * 2) window.shift();
+    },
+
+    assess() {
+      if (window.length < windowSize * 2) return insufficientData(window.length, windowSize * 2);
+
+      return hedgingVerdict(
+        {
+          earlierDensity: hedgeDensity(window.slice(0, windowSize)),
+          recentDensity: hedgeDensity(window.slice(windowSize)),
+        },
+        { minDensity, riseRatio }
+      );
+    },
+  };
+}
@@ -0,0 +1,111 @@
+/**
+ * Similarity strategies for comparing two messages.
+ *
+ * Each built-in strategy is split into `prepare` (text → representation)
+ * and `compare` (two representations → 0-1), so the monitor can cache
+ * the prepared form and never re-tokenise a message it has seen.
+ *
+ * - cosine:         bag-of-words cosine. The original, and the default.
+ * - content-cosine: cosine over content-term counts: the locale packs'
+ *                   stop words dropped, suffixes stripped and every way
+ *                   of saying "again" folded into one term.
+ * - jaccard:        overlap of the same content terms as sets. Stricter:
+ *                   it counts the words one message has and the other
+ *                   doesn't.
+ * - shingles:       character n-gram overlap of the raw text. Survives
+ *                   typos and inflection, and needs no word boundaries,
+ *                   but not rewording: it sees letters, not words.
+ *
+ * Both content-term strategies read `locales`. A paraphrase only folds
+ * together in a language with a pack.
+ *
+ * A function `(a, b) => number` works too; it receives the two message
+ * strings and should return 0-1.
+ */
+
+import { tokenise, termFrequency, cosineOfFrequencies, contentTerms, termExtractor } from "./internal.js";
+
+/**
+ * @typedef {Object} SimilarityStrategy
+ * @property {(text: string) => *} prepare
+ * @property {(a: *, b: *) => number} compare
+ */
+
+/**
+ * Resolve a detector's similarity options into a strategy.
+ *
+ * @param {Object} [options]
+ * @param {"cosine"|"content-cosine"|"shingles"|"jaccard"|((a: string, b: string) => number)} [options.similarity="cosine"]
+ * @param {number} [options.shingleSize=3] - Characters per shingle, for "shingles"
+ * @param {Array<string|Object>} [options.locales=['en']] - Stop words, suffixes and repeat phrases, for "content-cosine" and "jaccard"
+ * @returns {SimilarityStrategy}
+ */
+export function resolveSimilarity(options = {}) {
+  const { similarity = "cosine", shingleSize = 3, locales = ["en"] } = options;
+
+  if (typeof similarity === "function") {
+    return { prepare: (text) => text, compare: similarity };
+  }
+
+  switch (similarity) {
+    case "cosine":
+      return {
+        prepare: (text) => termFrequency(tokenise(text)),
+        compare: cosineOfFrequencies,
+      };
+    case "content-cosine": {
+      const terms = contentTerms(locales);
+      return {
+        prepare: (text) => termFrequency(terms(text)),
+        compare: cosineOfFrequencies,
+      };
+    }
+    case "shingles":
+      return {
+        prepare: (text) => shingles(text, shingleSize),
+        compare: jaccardOfSets,
+      };
+    case "jaccard":
+      return { prepare: termExtractor(locales), compare: jaccardOfSets };
+    default:
+      throw new Error(`nil-triggers: unknown similarity "${similarity}"`);
+  }
+}
+
+/** Similarity between every consecutive pair of texts. */
+export function consecutiveSimilarities(texts, strategy) {
+  const prepared = texts.map(strategy.prepare);
+  const similarities = [];
+  for (let i = 1; i < prepared.length; i++) {
+    similarities.push(strategy.compare(prepared[i - 1], prepared[i]));
+  }
+  return similarities;
+}
+
+// --- Internals ---
+
+/** Set of character n-grams over the text's tokens joined by single spaces. */
+function shingles(text, size) {
+  const joined = tokenise(text).join(" ");
+  const set = new Set();
+
+  // Array.from splits by code point, so emoji and astral CJK stay whole.
+  const chars = Array.from(joined);
+  if (chars.length > 0 && chars.length < size) set.add(joined);
+  for (let i = 0; i + size <= chars.length; i++) {
+    set.add(chars.slice(i, i + size).join(""));
+  }
+
+  return set;
+}
+
+/** Jaccard index of two sets. Two empty sets count as unrelated. */
+function jaccardOfSets(a, b) {
+  if (a.size === 0 && b.size === 0) return 0;
+
+  let shared = 0;
+  for (const item of a) {
+    if (b.has(item)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
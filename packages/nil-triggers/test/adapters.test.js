@@ -0,0 +1,118 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  detectVelocityCollapse,
+  check,
+  fromAnthropic,
+  fromOpenAI,
+  fromMcpSampling,
+  normaliseTimestamp,
+} from "../index.js";
+import { now, sec, loopConversation, withTools } from "./helpers.js";
+
+const anthropic = fromAnthropic([
+  { role: "user", content: "Rewrite the intro", timestamp: "2025-01-01T10:00:00Z" },
+  {
+    role: "assistant",
+    content: [
+      { type: "thinking", thinking: "hmm" },
+      { type: "text", text: "Let me check the draft." },
+      { type: "tool_use", id: "t1", name: "read", input: {} },
+    ],
+    timestamp: "2025-01-01T10:00:10Z",
+  },
+  {
+    role: "user",
+    content: [{ type: "tool_result", tool_use_id: "t1", content: "draft text" }],
+    timestamp: "2025-01-01T10:00:11Z",
+  },
+  {
+    role: "user",
+    content: [
+      { type: "image", source: { type: "base64", media_type: "image/png", data: "" } },
+      { type: "text", text: "Rewrite the intro differently" },
+    ],
+    timestamp: "2025-01-01T10:01:00Z",
+  },
+  { role: "user", content: [{ type: "image", source: {} }], timestamp: "2025-01-01T10:01:30Z" },
+]);
+
+test("fromAnthropic marks tool results as tool and drops image-only turns", () => {
+  assert.deepEqual(
+    anthropic.map((m) => m.role),
+    ["user", "assistant", "tool", "user"]
+  );
+});
+
+test("fromAnthropic keeps only text blocks", () => {
+  assert.equal(anthropic[1].content, "Let me check the draft.");
+  assert.equal(anthropic[3].content, "Rewrite the intro differently");
+});
+
+test("ISO timestamps become Unix ms", () => {
+  assert.equal(anthropic[0].timestamp, Date.parse("2025-01-01T10:00:00Z"));
+});
+
+const openai = fromOpenAI([
+  { role: "developer", content: "Be brief.", created: 1735725600 },
+  { role: "user", content: [{ type: "text", text: "Rewrite the intro" }], created: 1735725600 },
+  { role: "assistant", content: null, tool_calls: [{ id: "c1" }], created: 1735725610 },
+  { role: "tool", content: "draft text", tool_call_id: "c1", created: 1735725611 },
+  { role: "assistant", content: "Here you go.", created: 1735725620 },
+]);
+
+test("fromOpenAI maps developer, tool_calls and tool roles", () => {
+  assert.deepEqual(
+    openai.map((m) => m.role),
+    ["system", "user", "tool", "tool", "assistant"]
+  );
+});
+
+test("Unix seconds become Unix ms", () => {
+  assert.equal(openai[1].timestamp, 1735725600000);
+});
+
+test("Dates and ISO strings before 2001 stay in ms, not read as seconds", () => {
+  const ms = Date.parse("1999-01-01");
+  assert.equal(normaliseTimestamp(new Date("1999-01-01")), ms);
+  assert.equal(normaliseTimestamp("1999-01-01T00:00:00Z"), ms);
+  assert.equal(normaliseTimestamp("915148800"), ms);
+  assert.equal(normaliseTimestamp(new Date(NaN)), null);
+});
+
+const sampling = fromMcpSampling({
+  messages: [
+    { role: "user", content: { type: "text", text: "nil" } },
+    { role: "assistant", content: { type: "image", data: "", mimeType: "image/png" } },
+  ],
+});
+
+test("fromMcpSampling flattens single blocks and leaves unknown times null", () => {
+  assert.equal(sampling.length, 1);
+  assert.equal(sampling[0].timestamp, null);
+});
+
+test("adapted messages work with check()", () => {
+  assert.ok(check(sampling).signals.includes("user-invoked"));
+});
+
+test("system and tool messages don't change any detector", () => {
+  assert.deepEqual(
+    check(withTools, { detailed: true }),
+    check(loopConversation, { detailed: true })
+  );
+});
+
+test("unknown timestamps are skipped rather than read as huge gaps", () => {
+  assert.equal(
+    detectVelocityCollapse(
+      Array.from({ length: 8 }, (_, i) => ({
+        role: "user",
+        content: "A steady message of a steady length.",
+        timestamp: i === 5 ? null : now + sec(i * 30),
+      }))
+    ),
+    false
+  );
+});
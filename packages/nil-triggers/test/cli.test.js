@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+
+import { loopConversation } from "./helpers.js";
+
+const run = (args, input) =>
+  spawnSync(process.execPath, ["cli.js", ...args], {
+    cwd: new URL("..", import.meta.url),
+    input,
+    encoding: "utf8",
+  });
+
+const replay = (messages, ...args) =>
+  run(["replay", "-", ...args], messages.map((m) => JSON.stringify(m)).join("\n"));
+
+test("replay prints which signal fired at which line", () => {
+  const { status, stdout } = replay(loopConversation);
+  assert.equal(status, 0);
+  assert.match(stdout, /line 5 \[user\][\s\S]*fired loop/);
+});
+
+test("replay prints why it fired", () => {
+  assert.match(replay(loopConversation).stdout, /minSimilarity/);
+});
+
+test("replay --set overrides detector options", () => {
+  assert.doesNotMatch(replay(loopConversation, "--set", "loop.threshold=4").stdout, /fired loop/);
+});
+
+test("replay reports malformed lines", () => {
+  const { status, stderr } = replay([loopConversation[0], { role: "user", content: "no time" }]);
+  assert.equal(status, 1);
+  assert.match(stderr, /line 2/);
+});
+
+test("replay --lenient skips malformed messages, even with --all and while a signal fires", () => {
+  const lines = [...loopConversation, { role: "user", content: null }, "just a string", null];
+  const { status, stdout, stderr } = replay(lines, "--lenient", "--all");
+  assert.equal(status, 0, stderr);
+  assert.match(stdout, new RegExp(`${loopConversation.length} messages replayed`));
+  assert.doesNotMatch(stdout, new RegExp(`line ${loopConversation.length + 1} `));
+});
+
+test("replay reports a line that isn't a message in the chosen format", () => {
+  for (const format of ["openai", "anthropic", "mcp"]) {
+    const strict = replay([null], "--format", format);
+    assert.equal(strict.status, 1, format);
+    assert.match(strict.stderr, new RegExp(`line 1: not a message in ${format} format`));
+
+    const lenient = replay([null], "--format", format, "--lenient");
+    assert.equal(lenient.status, 0, format);
+    assert.match(lenient.stdout, /0 messages replayed/);
+  }
+});
+
+test("evaluate prints precision and recall for each option set", () => {
+  const { status, stdout } = run(["evaluate"]);
+  assert.equal(status, 0);
+  assert.match(stdout, /^default$/m);
+  assert.match(stdout, /^ {2}loop +\d+ +\d+ +\d+ +\d+% +\d+%$/m);
+});
+
+test("evaluate --set scores only the overrides", () => {
+  const { stdout } = run(["evaluate", "--set", "loop.similarity=shingles", "--misses"]);
+  assert.match(stdout, /1 option set/);
+  assert.match(stdout, /^custom$/m);
+  assert.match(stdout, /missed {7}\S+/);
+});
@@ -0,0 +1,166 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import { check } from "../index.js";
+import { loadCorpus, loadOptionSets, evaluate } from "../evaluate.js";
+
+const corpus = loadCorpus();
+const signals = Object.keys(check([], { detailed: true }).details);
+
+/**
+ * What every detector should reach on the bundled corpus with default
+ * options.
+ */
+const TARGET = { precision: 0.9, recall: 0.9 };
+
+/**
+ * The conversations a detector still gets wrong. Its target test is
+ * marked todo until they're fixed; any miss not listed here fails.
+ */
+const KNOWN_MISSES = {
+  loop: {
+    falsePositives: ["loop/en-working-through-sections"],
+    falseNegatives: [
+      "loop/en-tagline",
+      "loop/en-formal-email",
+      "loop/en-paraphrased-cover-letter",
+      "loop/fr-slogan",
+      "loop/ja-blog-title",
+    ],
+  },
+  "velocity-collapse": { falsePositives: ["scope-creep/en-converging"] },
+  "self-repetition": {
+    falsePositives: ["loop/en-working-through-sections", "loop/en-different-requests"],
+  },
+  hedging: { falsePositives: ["velocity-collapse/en-slowing-down"] },
+};
+
+/**
+ * What each built-in similarity gets wrong of the corpus's loops.
+ * Cosine and shingles compare words and characters as typed, so they
+ * miss a request reworded or asked in another language. Content-cosine
+ * and jaccard compare content terms and catch those. None of them can
+ * tell a user working through numbered sections from one asking again.
+ */
+const SIMILARITIES = {
+  cosine: {
+    missed: KNOWN_MISSES.loop.falseNegatives,
+    falseAlarms: KNOWN_MISSES.loop.falsePositives,
+  },
+  "content-cosine": { missed: [], falseAlarms: ["loop/en-working-through-sections"] },
+  jaccard: { missed: [], falseAlarms: ["loop/en-working-through-sections"] },
+  shingles: {
+    similarityFloor: 0.5,
+    missed: [
+      "loop/en-tagline",
+      "loop/en-formal-email",
+      "loop/en-paraphrased-cover-letter",
+      "loop/fr-slogan",
+      "loop/ja-blog-title",
+    ],
+    falseAlarms: ["loop/en-working-through-sections"],
+  },
+};
+
+test("corpus ids are unique and labels name real signals", () => {
+  const ids = corpus.map((c) => c.id);
+  assert.equal(new Set(ids).size, ids.length);
+  for (const { id, labels } of corpus) {
+    for (const label of labels) assert.ok(signals.includes(label), `${id}: unknown label ${label}`);
+  }
+});
+
+test("corpus has positive and negative examples for every signal", () => {
+  for (const signal of signals) {
+    assert.ok(corpus.some((c) => c.labels.includes(signal)), `no positives for ${signal}`);
+  }
+  assert.ok(corpus.some((c) => c.labels.length === 0), "no healthy conversations");
+});
+
+test("corpus covers more than one language", () => {
+  assert.ok(new Set(corpus.map((c) => c.language)).size > 1);
+});
+
+test("every option set evaluates", () => {
+  for (const [name, options] of Object.entries(loadOptionSets())) {
+    assert.deepEqual(Object.keys(evaluate(corpus, options)), signals, name);
+  }
+});
+
+for (const signal of signals) {
+  const known = { falsePositives: [], falseNegatives: [], ...KNOWN_MISSES[signal] };
+  const listed = [...known.falsePositives, ...known.falseNegatives];
+
+  test(`${signal} gets nothing wrong on the corpus beyond its known misses`, () => {
+    const { falsePositives, falseNegatives } = evaluate(corpus)[signal];
+    for (const id of falsePositives) assert.ok(known.falsePositives.includes(id), `new false alarm: ${id}`);
+    for (const id of falseNegatives) assert.ok(known.falseNegatives.includes(id), `new miss: ${id}`);
+  });
+
+  test(
+    `${signal} reaches the target precision and recall on the corpus`,
+    { todo: listed.length > 0 && `known misses: ${listed.join(", ")}` },
+    () => {
+      const { precision, recall } = evaluate(corpus)[signal];
+      assert.ok(precision >= TARGET.precision, `precision ${precision} < ${TARGET.precision}`);
+      assert.ok(recall >= TARGET.recall, `recall ${recall} < ${TARGET.recall}`);
+    }
+  );
+}
+
+for (const [similarity, { missed, falseAlarms, ...loop }] of Object.entries(SIMILARITIES)) {
+  test(`loop with ${similarity} similarity catches what it is documented to`, () => {
+    const { falsePositives, falseNegatives } = evaluate(corpus, { loop: { similarity, ...loop } }).loop;
+    assert.deepEqual(falsePositives.sort(), [...falseAlarms].sort());
+    assert.deepEqual(falseNegatives.sort(), [...missed].sort());
+  });
+}
+
+test("evaluate counts hits and misses", () => {
+  const dir = mkdtempSync(join(tmpdir(), "nil-corpus-"));
+  try {
+    const loop = ["Rewrite the intro", "Rewrite the intro again", "Rewrite the intro once more"];
+    const messages = loop.map((content, i) => ({ role: "user", at: i * 60, content }));
+    writeFileSync(
+      join(dir, "tiny.json"),
+      JSON.stringify([
+        { id: "hit", labels: ["loop"], messages },
+        { id: "false-alarm", labels: [], messages },
+        { id: "miss", labels: ["loop"], messages: messages.slice(0, 1) },
+      ])
+    );
+
+    const { loop: score } = evaluate(loadCorpus(dir));
+    assert.deepEqual(
+      [score.tp, score.fp, score.fn, score.tn],
+      [1, 1, 1, 0]
+    );
+    assert.equal(score.precision, 0.5);
+    assert.equal(score.recall, 0.5);
+    assert.deepEqual(score.falsePositives, ["false-alarm"]);
+    assert.deepEqual(score.falseNegatives, ["miss"]);
+    assert.deepEqual(loadOptionSets(dir), { default: {} });
+  } finally {
+    rmSync(dir, { recursive: true });
+  }
+});
+
+test("a conversation's locales reach the hedging phrases", () => {
+  const hedging = corpus.filter(({ labels }) => labels.includes("hedging"));
+  assert.equal(evaluate(hedging).hedging.tp, hedging.length);
+  // The hedge phrases are English only, so a German pack finds none.
+  assert.equal(evaluate(hedging.map((c) => ({ ...c, locales: ["de"] }))).hedging.tp, 0);
+});
+
+test("malformed corpus files name the file", () => {
+  const dir = mkdtempSync(join(tmpdir(), "nil-corpus-"));
+  try {
+    writeFileSync(join(dir, "broken.json"), "{");
+    assert.throws(() => loadCorpus(dir), /corpus broken\.json: not valid JSON/);
+  } finally {
+    rmSync(dir, { recursive: true });
+  }
+});
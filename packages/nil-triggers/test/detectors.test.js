@@ -0,0 +1,570 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  detectExplicitPause,
+  detectLoop,
+  detectVelocityCollapse,
+  detectScopeCreep,
+  detectSaturation,
+  detectSelfRepetition,
+  detectDiminishingNovelty,
+  detectHedging,
+  check,
+} from "../index.js";
+import {
+  now,
+  sec,
+  said,
+  requests,
+  replies,
+  loopConversation,
+  reworded,
+  acceptedThenSimilar,
+  savedThenMore,
+  sameAnswer,
+  padded,
+  fresh,
+  plain,
+  hedgy,
+  substantive,
+} from "./helpers.js";
+
+describe("explicit pause", () => {
+  test("detects a pause phrase", () => {
+    assert.equal(detectExplicitPause(said("I need a minute.")), true);
+  });
+
+  test('detects a bare "nil"', () => {
+    assert.equal(detectExplicitPause(said("nil")), true);
+  });
+
+  test('does not match "nil" inside another word', () => {
+    assert.equal(detectExplicitPause(said("Explain nilpotent matrices")), false);
+  });
+
+  test("short words only count as the whole message", () => {
+    assert.equal(detectExplicitPause(said("Can you add a pause button?")), false);
+  });
+
+  test("respects negation", () => {
+    assert.equal(detectExplicitPause(said("Don't stop helping, this is great")), false);
+  });
+
+  test("phrases that turn up in ordinary requests only count as the whole message", () => {
+    for (const message of ["Please stop.", "stop now", "I need a break", "Give me a break!", "Let me think."]) {
+      assert.equal(detectExplicitPause(said(message)), true, message);
+    }
+    for (const message of [
+      "Please stop adding comments to the code",
+      "How do I take a break statement out?",
+      "let me think... can you compare A and B?",
+      "I need a break statement in this loop",
+      "can you give me a break statement example in js",
+      "Stop now if the queue is empty, otherwise retry",
+      "wait",
+      "break",
+    ]) {
+      assert.equal(detectExplicitPause(said(message)), false, message);
+      assert.deepEqual(check(said(message)).signals, [], message);
+    }
+  });
+
+  test("uses locale phrase packs", () => {
+    assert.equal(detectExplicitPause(said("Ich brauche eine Pause"), { locales: ["de"] }), true);
+  });
+
+  test("matches phrases in unspaced scripts", () => {
+    assert.equal(detectExplicitPause(said("ちょっと待ってください"), { locales: ["ja"] }), true);
+  });
+
+  test("accepts custom phrases", () => {
+    assert.equal(detectExplicitPause(said("tap out"), { phrases: ["tap out"] }), true);
+  });
+
+  test("only looks at the user's current turn", () => {
+    assert.equal(
+      detectExplicitPause([
+        ...said("I need a minute"),
+        { role: "assistant", content: "Of course.", timestamp: now + sec(10) },
+      ]),
+      false
+    );
+  });
+
+  test("check() reports user-invoked", () => {
+    assert.ok(check(said("Please stop helping")).signals.includes("user-invoked"));
+  });
+});
+
+describe("loop detection", () => {
+  test("detects repeated similar requests", () => {
+    assert.equal(
+      detectLoop([
+        { role: "user", content: "Can you make the logo bigger?", timestamp: now },
+        { role: "assistant", content: "Here's the updated logo.", timestamp: now + sec(30) },
+        { role: "user", content: "Can you make the logo a bit bigger?", timestamp: now + sec(60) },
+        { role: "assistant", content: "Here's another version.", timestamp: now + sec(90) },
+        { role: "user", content: "Make the logo bigger please", timestamp: now + sec(120) },
+      ]),
+      true
+    );
+  });
+
+  test("does not trigger on different requests", () => {
+    assert.equal(
+      detectLoop([
+        { role: "user", content: "Can you make the logo bigger?", timestamp: now },
+        { role: "assistant", content: "Done.", timestamp: now + sec(30) },
+        { role: "user", content: "Now change the background to blue", timestamp: now + sec(60) },
+        { role: "assistant", content: "Done.", timestamp: now + sec(90) },
+        { role: "user", content: "Add a subtitle that says hello", timestamp: now + sec(120) },
+      ]),
+      false
+    );
+  });
+
+  test("detects loops in Japanese", () => {
+    assert.equal(
+      detectLoop(
+        requests(
+          "ロゴをもっと大きくしてください",
+          "ロゴをもう少し大きくしてください",
+          "ロゴを大きくしてください"
+        )
+      ),
+      true
+    );
+  });
+
+  test("keeps accented letters when tokenising", () => {
+    assert.equal(
+      detectLoop(
+        requests(
+          "Könnt ihr das Logo größer machen?",
+          "Bitte das Logo größer machen",
+          "Das Logo noch größer machen, bitte"
+        )
+      ),
+      true
+    );
+  });
+
+  test("treats emoji as tokens", () => {
+    assert.equal(
+      detectLoop(requests("🎉🎉 more 🎉 please", "🎉🎉🎉 more please", "more 🎉🎉 please")),
+      true
+    );
+  });
+
+  test("cosine misses reworded requests", () => {
+    assert.equal(detectLoop(reworded), false);
+  });
+
+  test("content-cosine and jaccard drop stop words and stem, so reworded requests still match", () => {
+    assert.equal(detectLoop(reworded, { similarity: "content-cosine" }), true);
+    assert.equal(detectLoop(reworded, { similarity: "jaccard" }), true);
+  });
+
+  test("asking again, in other words, counts as the same request", () => {
+    const again = requests(
+      "Write a tagline for my bakery",
+      "Write another tagline for the bakery",
+      "Once more, a tagline for my bakery please"
+    );
+    assert.equal(detectLoop(again, { similarity: "content-cosine" }), true);
+    assert.equal(detectLoop(again, { similarity: "jaccard" }), true);
+  });
+
+  test("asking for the next version of the same thing is a loop", () => {
+    const versions = requests(
+      "give me version 2 of the logo",
+      "give me version 3 of the logo",
+      "give me version 4 of the logo",
+      "give me version 5 of the logo"
+    );
+    for (const similarity of ["cosine", "content-cosine"]) {
+      assert.equal(detectLoop(versions, { similarity }), true, similarity);
+    }
+  });
+
+  test("shingles compare character n-grams", () => {
+    assert.equal(
+      detectLoop(requests("ロゴを大きく", "ロゴを大きくして", "ロゴを大きくしてね"), {
+        similarity: "shingles",
+        similarityFloor: 0.5,
+      }),
+      true
+    );
+  });
+
+  test("accepts a custom similarity function", () => {
+    assert.equal(
+      detectLoop(reworded, {
+        similarity: (a, b) => (a.includes("intro") && b.includes("intro") ? 1 : 0),
+      }),
+      true
+    );
+  });
+});
+
+describe("acceptance", () => {
+  test("without acceptance, similar requests loop", () => {
+    assert.equal(detectLoop(acceptedThenSimilar, { acceptance: false }), true);
+  });
+
+  test("an accepted output resets the loop window", () => {
+    assert.equal(detectLoop(acceptedThenSimilar.slice(0, -2)), false);
+  });
+
+  test("negated acceptance does not reset", () => {
+    assert.equal(
+      detectLoop(
+        requests(
+          "Make the logo bigger",
+          "It's not perfect, make the logo bigger",
+          "Make the logo bigger"
+        )
+      ),
+      true
+    );
+  });
+
+  test("perfect only counts at the start of a sentence", () => {
+    for (const reply of ["make it perfect", "still not perfect"]) {
+      assert.equal(
+        detectLoop(requests("Make the logo bigger", `Make the logo bigger, ${reply}`, "Make the logo bigger")),
+        true,
+        reply
+      );
+    }
+    for (const reply of ["Perfect.", "Perfect, thanks.", "Thanks. Perfect!"]) {
+      const loop = requests("Make the logo bigger", `${reply} Make the logo bigger`, "Make the logo bigger");
+      assert.equal(detectLoop(loop, { acceptance: false }), true, reply);
+      assert.equal(detectLoop(loop), false, reply);
+    }
+  });
+
+  test("a host-app callback can mark acceptance", () => {
+    assert.equal(
+      detectLoop(
+        requests("Rewrite the intro", "Rewrite the intro again", "Rewrite the intro once more").map(
+          (m, i) => (i === 3 ? { ...m, accepted: true } : m)
+        ),
+        { acceptance: { isAccepted: (m) => m.accepted === true } }
+      ),
+      false
+    );
+  });
+
+  test("saturation ignores requests before the user accepted", () => {
+    assert.equal(detectSaturation(savedThenMore), false);
+  });
+
+  test("saturation counts them when acceptance is off", () => {
+    assert.equal(detectSaturation(savedThenMore, { acceptance: false }), true);
+  });
+
+  test("check() passes shared acceptance settings down", () => {
+    assert.ok(check(savedThenMore, { acceptance: false }).signals.includes("saturation"));
+  });
+});
+
+describe("velocity collapse", () => {
+  test("detects sharp drop in message length", () => {
+    assert.equal(
+      detectVelocityCollapse([
+        { role: "user", content: "I've been thinking about the restructure and I have several ideas about how we might approach the timeline for the project rollout.", timestamp: now },
+        { role: "assistant", content: "Response.", timestamp: now + sec(15) },
+        { role: "user", content: "The first consideration is around stakeholder alignment, which I think requires a phased approach starting with the leadership team.", timestamp: now + sec(30) },
+        { role: "assistant", content: "Response.", timestamp: now + sec(45) },
+        { role: "user", content: "Another key factor is the budget allocation across Q3 and Q4 which will determine how aggressively we can pursue the expansion.", timestamp: now + sec(60) },
+        { role: "assistant", content: "Response.", timestamp: now + sec(75) },
+        { role: "user", content: "And also the hiring plan needs revisiting given the new targets and the constraints we discussed last week.", timestamp: now + sec(90) },
+        { role: "assistant", content: "Response.", timestamp: now + sec(105) },
+        // Collapse
+        { role: "user", content: "yeah", timestamp: now + sec(120) },
+        { role: "assistant", content: "Response.", timestamp: now + sec(135) },
+        { role: "user", content: "ok", timestamp: now + sec(150) },
+        { role: "assistant", content: "Response.", timestamp: now + sec(165) },
+        { role: "user", content: "sure", timestamp: now + sec(180) },
+        { role: "assistant", content: "Response.", timestamp: now + sec(195) },
+        { role: "user", content: "fine", timestamp: now + sec(210) },
+      ]),
+      true
+    );
+  });
+
+  /** User messages of steady length after the given gaps (seconds), each answered 20s later. */
+  const paced = (gaps) => {
+    let at = now;
+    return gaps.flatMap((gap, i) => {
+      at += sec(gap);
+      return [
+        { role: "user", content: `Here is the next part of the plan, number ${i}.`, timestamp: at },
+        { role: "assistant", content: "Noted.", timestamp: at + sec(20) },
+      ];
+    });
+  };
+  const steady = paced(Array(8).fill(60));
+  const lastUserAt = steady[steady.length - 2].timestamp;
+
+  test("counts the open gap when the user has gone quiet", () => {
+    assert.equal(detectVelocityCollapse(steady), false);
+    const quiet = detectVelocityCollapse(steady, { now: lastUserAt + sec(900), detailed: true });
+    assert.equal(quiet.fired, true);
+    assert.equal(quiet.reason.metric, "gapRatio");
+    assert.equal(detectVelocityCollapse(steady, { now: () => lastUserAt + sec(900) }), true);
+  });
+
+  test("ignores an open gap shorter than the usual one", () => {
+    assert.equal(detectVelocityCollapse(steady, { now: lastUserAt + sec(40) }), false);
+  });
+
+  test("ignores the clock while the user is the last to speak", () => {
+    assert.equal(detectVelocityCollapse(steady.slice(0, -1), { now: lastUserAt + sec(900) }), false);
+  });
+
+  test("one long break doesn't set the baseline", () => {
+    const lunch = paced([60, 60, 3600, 60, 60, 60, 60, 60, 240, 240, 240, 240]);
+    assert.equal(detectVelocityCollapse(lunch), true);
+    assert.equal(detectVelocityCollapse(lunch, { baseline: "trimmed" }), true);
+    assert.equal(detectVelocityCollapse(lunch, { baseline: "mean" }), false);
+  });
+
+  test("the baseline only reaches back baselineSize messages", () => {
+    const slowStart = paced([...Array(6).fill(600), ...Array(6).fill(60), ...Array(4).fill(240)]);
+    assert.equal(detectVelocityCollapse(slowStart, { baseline: "mean" }), false);
+    assert.equal(detectVelocityCollapse(slowStart, { baseline: "mean", baselineSize: 6 }), true);
+  });
+
+  test("rejects an unknown baseline or a broken clock", () => {
+    assert.throws(() => detectVelocityCollapse(steady, { baseline: "mode" }), /unknown baseline "mode"/);
+    assert.throws(() => detectVelocityCollapse(steady, { now: () => "soon" }), TypeError);
+  });
+});
+
+describe("scope creep", () => {
+  const settled = ["Fix the date parser.", "Day first.", "Use slashes.", "Thanks."];
+  const options = { windowSize: 4, detailed: true };
+
+  test("fires when longer messages bring new topics and asks", () => {
+    const result = detectScopeCreep(
+      requests(
+        ...settled,
+        "Can you also add a settings page where people change their timezone and language?",
+        "What about exporting every report to a spreadsheet each Monday morning?",
+        "Should we translate the whole app into Spanish and German as well?",
+        "And could billing move to Stripe, with invoices emailed to customers?"
+      ),
+      options
+    );
+    assert.equal(result.fired, true);
+    assert.equal(result.reason.metric, "novelty");
+  });
+
+  test("longer messages about the same things are converging, not creeping", () => {
+    const result = detectScopeCreep(
+      requests(
+        "The date parser returns NaN.",
+        "Dates are day first.",
+        "Dates use slashes.",
+        "The parser gets strings.",
+        "So the date parser splits the strings on slashes, day first, and returns NaN for bad dates?",
+        "The parser returns the dates day first now and the strings with slashes parse fine.",
+        "Should the date parser also reject strings without slashes or return NaN for those dates?",
+        "The date parser works day first with slashes and bad strings return NaN, thanks."
+      ),
+      options
+    );
+    assert.equal(result.fired, false);
+    assert.equal(result.reason.metric, "novelty");
+  });
+
+  test("pasted code and quoted lines don't count as growth", () => {
+    const code = "```js\nfunction parseDate(text) {\n  const [day, month, year] = text.split('/').map(Number);\n  return new Date(year, month - 1, day);\n}\n```";
+    const result = detectScopeCreep(
+      requests(
+        ...settled,
+        `Like this?\n${code}`,
+        `> Use slashes.\n> Day first, then month, then the four-digit year.\nRight?`,
+        `Better?\n${code}`,
+        "Uses `text.split('/').map(Number)` now. Done?"
+      ),
+      options
+    );
+    assert.equal(result.fired, false);
+    assert.equal(result.reason.metric, "growthRatio");
+  });
+
+  test("reads ask openers and stop words from the locale packs", () => {
+    const messages = requests(
+      "Welche Farbe fürs Bad?",
+      "Salbeigrün.",
+      "Seidenmatt.",
+      "Danke.",
+      "Außerdem die Fliesen rausreißen und eine bodengleiche Dusche einbauen lassen.",
+      "Kannst du die Kosten für neue Leitungen aus Kupfer schätzen, das Haus ist von 1972.",
+      "Was ist mit der Küche, die ist genauso alt und bräuchte neue Schränke.",
+      "Wenn wir schon dabei sind, auch gleich die Heizung gegen eine Wärmepumpe tauschen."
+    );
+    assert.equal(detectScopeCreep(messages, { ...options, locales: ["de"] }).fired, true);
+    assert.equal(detectScopeCreep(messages, options).reason.metric, "asks");
+  });
+});
+
+describe("saturation", () => {
+  test("detects user requesting more after substantive responses", () => {
+    assert.equal(
+      detectSaturation([
+        { role: "user", content: "Compare these two job offers for me", timestamp: now },
+        { role: "assistant", content: substantive("A"), timestamp: now + sec(30) },
+        { role: "user", content: "What about the benefits?", timestamp: now + sec(60) },
+        { role: "assistant", content: substantive("B"), timestamp: now + sec(90) },
+        { role: "user", content: "Can you also look at commute times?", timestamp: now + sec(120) },
+        { role: "assistant", content: substantive("C"), timestamp: now + sec(150) },
+        { role: "user", content: "What about career growth?", timestamp: now + sec(180) },
+        { role: "assistant", content: substantive("D"), timestamp: now + sec(210) },
+        { role: "user", content: "Can you also compare the company cultures?", timestamp: now + sec(240) },
+        { role: "user", content: "And what about work-life balance? Give me more on that", timestamp: now + sec(270) },
+      ]),
+      true
+    );
+  });
+
+  test("does not trigger on short, resolved conversations", () => {
+    assert.equal(
+      detectSaturation([
+        { role: "user", content: "What's the weather?", timestamp: now },
+        { role: "assistant", content: "It's sunny.", timestamp: now + sec(10) },
+        { role: "user", content: "Thanks", timestamp: now + sec(20) },
+      ]),
+      false
+    );
+  });
+
+  /** Three substantive answers, then the given user messages. */
+  const afterAnswers = (...contents) => [
+    ...replies(substantive("offers"), substantive("benefits"), substantive("commutes")),
+    ...contents.map((content, i) => ({ role: "user", content, timestamp: now + sec(200 + i * 30) })),
+  ];
+
+  test("matches request phrases on word boundaries", () => {
+    assert.equal(
+      detectSaturation(afterAnswers("Furthermore, the salary matters.", "Moreover, I'll decide tonight.")),
+      false
+    );
+    assert.equal(detectSaturation(afterAnswers("Give me more.", "One more please.")), true);
+  });
+
+  test("negated requests don't count", () => {
+    assert.equal(detectSaturation(afterAnswers("No more options, thanks.", "I don't need another.")), false);
+  });
+
+  test("requests for more must fall within the window", () => {
+    const spread = afterAnswers(
+      "What about pensions?",
+      "I've emailed both recruiters.",
+      "They replied.",
+      "I signed with the first.",
+      "Anything else for the first week?"
+    );
+    assert.equal(detectSaturation(spread), false);
+    assert.equal(detectSaturation(spread, { windowSize: 5 }), true);
+  });
+
+  test("takes regex patterns and locale packs", () => {
+    const german = afterAnswers("Noch ein paar Ideen?", "Gibt es weitere Inseln?");
+    assert.equal(detectSaturation(german), false);
+    assert.equal(detectSaturation(german, { locales: ["de"] }), true);
+    assert.equal(detectSaturation(german, { requestPatterns: [/\bideen\b/i, /inseln/i] }), true);
+    assert.throws(() => detectSaturation(german, { requestPatterns: [42] }), /strings or regular expressions/);
+  });
+
+  test("requestPatterns replaces the locale phrases, extraRequestPatterns adds to them", () => {
+    const english = afterAnswers("Give me more.", "One more please.");
+    assert.equal(detectSaturation(english, { requestPatterns: [/\bideen\b/i] }), false);
+    assert.equal(detectSaturation(english, { extraRequestPatterns: [/\bideen\b/i] }), true);
+
+    const mixed = afterAnswers("Give me more.", "Noch ein paar Ideen?");
+    assert.equal(detectSaturation(mixed), false);
+    assert.equal(detectSaturation(mixed, { extraRequestPatterns: ["ideen"] }), true);
+    assert.throws(() => detectSaturation(mixed, { extraRequestPatterns: [null] }), /extraRequestPatterns must be/);
+  });
+
+  test("counts substantive replies in words, not characters", () => {
+    const messages = [
+      ...replies("A".repeat(300), "B".repeat(300), "C".repeat(300)),
+      { role: "user", content: "Give me more", timestamp: now + sec(200) },
+      { role: "user", content: "Another one", timestamp: now + sec(230) },
+    ];
+    const result = detectSaturation(messages, { detailed: true });
+    assert.equal(result.reason.metric, "substantiveResponses");
+    assert.equal(detectSaturation(messages, { minAssistantWords: 1 }), true);
+  });
+
+  test("still takes the deprecated minAssistantLength, in characters", () => {
+    const messages = [
+      ...replies("A".repeat(300), "B".repeat(300), "C".repeat(300)),
+      { role: "user", content: "Give me more", timestamp: now + sec(200) },
+      { role: "user", content: "Another one", timestamp: now + sec(230) },
+    ];
+    assert.equal(detectSaturation(messages, { minAssistantLength: 200 }), true);
+    assert.equal(detectSaturation(messages, { minAssistantLength: 400 }), false);
+    // minAssistantWords wins when both are given.
+    assert.equal(detectSaturation(messages, { minAssistantLength: 200, minAssistantWords: 35 }), false);
+  });
+});
+
+describe("self-recognition", () => {
+  test("detects the assistant repeating itself", () => {
+    assert.equal(
+      detectSelfRepetition(
+        replies(sameAnswer, `${sameAnswer} Really.`, `As I said, ${sameAnswer.toLowerCase()}`)
+      ),
+      true
+    );
+  });
+
+  test("does not trigger on varied replies", () => {
+    assert.equal(
+      detectSelfRepetition(
+        replies(sameAnswer, "Use a queue for the emails.", "The logo should be darker blue.")
+      ),
+      false
+    );
+  });
+
+  test("detects longer replies with less new in them", () => {
+    assert.equal(detectDiminishingNovelty(replies(padded(4), padded(6), padded(8))), true);
+  });
+
+  test("does not trigger when longer replies bring new material", () => {
+    assert.equal(
+      detectDiminishingNovelty(
+        replies(fresh(15), fresh(20), `${fresh(20)} ${fresh(30).replace(/distinct/g, "novel")}`)
+      ),
+      false
+    );
+  });
+
+  test("detects rising hedging density", () => {
+    assert.equal(detectHedging(replies(plain, plain, plain, hedgy, hedgy, hedgy)), true);
+  });
+
+  test("does not trigger when hedging falls", () => {
+    assert.equal(detectHedging(replies(hedgy, hedgy, hedgy, plain, plain, plain)), false);
+  });
+
+  test("check() reports self-repetition", () => {
+    assert.ok(check(replies(sameAnswer, sameAnswer, sameAnswer)).signals.includes("self-repetition"));
+  });
+});
+
+describe("combined check", () => {
+  test("triggers on a loop and names the signal", () => {
+    const result = check(loopConversation);
+    assert.equal(result.triggered, true);
+    assert.ok(result.signals.includes("loop"));
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Conversations and helpers shared by the test files.
+ */
+
+export const now = Date.now();
+export const sec = (n) => n * 1000;
+
+/** A single user message. */
+export const said = (content) => [{ role: "user", content, timestamp: now }];
+
+/** User requests with a short assistant reply between each. */
+export const requests = (...contents) =>
+  contents.flatMap((content, i) => [
+    { role: "assistant", content: "Here you go.", timestamp: now + sec(i * 60 - 30) },
+    { role: "user", content, timestamp: now + sec(i * 60) },
+  ]);
+
+/** Alternate user prompts with the given assistant replies. */
+export const replies = (...contents) =>
+  contents.flatMap((content, i) => [
+    { role: "user", content: `Question ${i}`, timestamp: now + sec(i * 60) },
+    { role: "assistant", content, timestamp: now + sec(i * 60 + 30) },
+  ]);
+
+/** The error a call throws, or null. */
+export function thrown(fn) {
+  try {
+    fn();
+    return null;
+  } catch (err) {
+    return err;
+  }
+}
+
+export const loopConversation = [
+  { role: "user", content: "Rewrite the intro paragraph", timestamp: now },
+  { role: "assistant", content: "Here's a rewrite.", timestamp: now + sec(30) },
+  { role: "user", content: "Rewrite the intro paragraph differently", timestamp: now + sec(60) },
+  { role: "assistant", content: "Another version.", timestamp: now + sec(90) },
+  { role: "user", content: "Rewrite the intro paragraph again please", timestamp: now + sec(120) },
+];
+
+export const reworded = requests(
+  "Could you rewrite the intro paragraph for me?",
+  "Rewriting the intro paragraphs, please",
+  "Rewrite intro paragraph again"
+);
+
+export const acceptedThenSimilar = requests(
+  "Make the header logo bigger",
+  "Perfect, now make the footer logo bigger",
+  "Make the footer logo a bit bigger",
+  "Make the footer logo bigger please"
+);
+
+/** An assistant reply long enough to count as substantive. */
+export const substantive = (topic) => `Here is a detailed answer about ${topic}. `.repeat(8);
+
+export const savedThenMore = [
+  { role: "user", content: "Compare these two job offers for me", timestamp: now },
+  { role: "assistant", content: substantive("the offers"), timestamp: now + sec(30) },
+  { role: "user", content: "What about the benefits?", timestamp: now + sec(60) },
+  { role: "assistant", content: substantive("the benefits"), timestamp: now + sec(90) },
+  { role: "user", content: "What about commute times?", timestamp: now + sec(120) },
+  { role: "assistant", content: substantive("commute times"), timestamp: now + sec(150) },
+  { role: "user", content: "Can you also compare the cultures?", timestamp: now + sec(180) },
+  {
+    role: "user",
+    content: "That works, I'll take the first one. What about negotiating?",
+    timestamp: now + sec(240),
+  },
+  { role: "user", content: "Give me a script for it", timestamp: now + sec(270) },
+];
+
+export const sameAnswer =
+  "The best option is to refactor the billing module first, then migrate the data.";
+
+const base = "the plan covers billing migration testing rollout and monitoring for the new service";
+export const padded = (n) =>
+  `${base} ${"and as mentioned the plan covers billing migration ".repeat(n)}`;
+export const fresh = (n) =>
+  Array.from({ length: n }, (_, i) => `distinct${i} topic${i} idea${i}`).join(" ");
+
+export const plain =
+  "Use the second vendor because the contract is cheaper and support is faster for your team size.";
+export const hedgy =
+  "It depends, however you might consider the second vendor, though it could possibly be cheaper; keep in mind support may vary.";
+
+/** The loop conversation with a system prompt and tool traffic mixed in. */
+export const withTools = [
+  { role: "system", content: "You are helpful.", timestamp: now },
+  ...loopConversation.flatMap((m) => [
+    m,
+    { role: "tool", content: "lookup result", timestamp: m.timestamp + 1 },
+  ]),
+];
@@ -0,0 +1,145 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { check, createMonitor } from "../index.js";
+import { loadCorpus } from "../evaluate.js";
+import {
+  now,
+  sec,
+  said,
+  replies,
+  loopConversation,
+  reworded,
+  acceptedThenSimilar,
+  savedThenMore,
+  sameAnswer,
+  padded,
+  plain,
+  hedgy,
+  withTools,
+} from "./helpers.js";
+
+/** Push each message and compare against check() over the same prefix. */
+function assertMatchesCheck(conversation, options) {
+  const monitor = createMonitor(options);
+  conversation.forEach((message, i) => {
+    assert.deepEqual(
+      monitor.push(message),
+      check(conversation.slice(0, i + 1), options),
+      `differs from check() after message ${i}`
+    );
+  });
+}
+
+const longConversation = [];
+for (let i = 0; i < 12; i++) {
+  longConversation.push({
+    role: "user",
+    content: i < 8 ? `Here is a fairly detailed thought about part ${i} of the plan we discussed.` : "ok",
+    timestamp: now + sec(i * 60),
+  });
+  longConversation.push({
+    role: "assistant",
+    content: "x".repeat(i % 3 === 0 ? 250 : 50),
+    timestamp: now + sec(i * 60 + 20),
+  });
+}
+longConversation.push({ role: "user", content: "What about more options?", timestamp: now + sec(800) });
+longConversation.push({ role: "user", content: "Give me another one", timestamp: now + sec(860) });
+
+test("monitor matches check() on a loop", () => {
+  assertMatchesCheck(loopConversation);
+});
+
+test("monitor matches check() on an explicit pause", () => {
+  assertMatchesCheck([
+    ...said("Give me a minute"),
+    { role: "user", content: "Actually, carry on", timestamp: now + sec(5) },
+    { role: "assistant", content: "Sure.", timestamp: now + sec(10) },
+    { role: "user", content: "Thanks", timestamp: now + sec(20) },
+  ]);
+});
+
+test("monitor matches check() on a long session", () => {
+  assertMatchesCheck(longConversation);
+});
+
+test("monitor matches check() on self-recognition signals", () => {
+  assertMatchesCheck(replies(plain, sameAnswer, padded(4), padded(6), padded(8), hedgy, hedgy, hedgy));
+});
+
+test("monitor matches check() on scores and reasons", () => {
+  assertMatchesCheck(longConversation, {
+    detailed: true,
+    policy: { type: "weighted", threshold: 2 },
+  });
+});
+
+test("monitor matches check() around acceptance", () => {
+  assertMatchesCheck([
+    ...acceptedThenSimilar,
+    ...savedThenMore.map((m) => ({ ...m, timestamp: m.timestamp + sec(600) })),
+  ]);
+});
+
+test("monitor matches check() with system and tool messages", () => {
+  assertMatchesCheck(withTools);
+});
+
+test("monitor matches check() with a similarity strategy", () => {
+  assertMatchesCheck(reworded, { loop: { similarity: "jaccard" } });
+});
+
+test("monitor matches check() with custom options", () => {
+  assertMatchesCheck(longConversation, {
+    loop: { threshold: 2, similarityFloor: 0.3 },
+    velocityCollapse: { windowSize: 2 },
+    scopeCreep: { windowSize: 2, growthRatio: 1.1 },
+    saturation: { assistantResponseThreshold: 1 },
+  });
+});
+
+test("monitor matches check() on saturation windows and patterns", () => {
+  assertMatchesCheck(savedThenMore, {
+    saturation: { windowSize: 2, requestPatterns: [/script/i], minAssistantWords: 20 },
+    detailed: true,
+  });
+  assertMatchesCheck(savedThenMore, {
+    saturation: { extraRequestPatterns: ["script"], minAssistantLength: 100 },
+    detailed: true,
+  });
+});
+
+test("monitor matches check() on every corpus conversation", () => {
+  for (const { messages } of loadCorpus()) assertMatchesCheck(messages, { detailed: true });
+});
+
+test("check() between pushes follows a velocity clock like check()", () => {
+  let clock = now;
+  const options = { velocityCollapse: { now: () => clock }, detailed: true };
+  const monitor = createMonitor(options);
+  const pushed = [];
+  for (const message of longConversation.slice(0, 16)) {
+    monitor.push(message);
+    pushed.push(message);
+    for (const wait of [10, 900]) {
+      clock = message.timestamp + sec(wait);
+      assert.deepEqual(monitor.check(), check(pushed, options), `after ${pushed.length} messages, ${wait}s`);
+    }
+  }
+  assert.equal(monitor.check().details["velocity-collapse"].fired, true);
+});
+
+test("reset() forgets previous messages", () => {
+  const monitor = createMonitor();
+  loopConversation.forEach((m) => monitor.push(m));
+  monitor.reset();
+  assert.equal(monitor.push(loopConversation[0]).triggered, false);
+});
+
+test("push() after dispose() throws", () => {
+  const monitor = createMonitor();
+  monitor.dispose();
+  assert.throws(() => monitor.push(loopConversation[0]), /disposed/);
+  assert.throws(() => monitor.check(), /disposed/);
+});
@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { detectLoop, detectVelocityCollapse, check } from "../index.js";
+import { said, loopConversation } from "./helpers.js";
+
+test("a fired detector scores 1", () => {
+  const result = detectLoop(loopConversation, { detailed: true });
+  assert.equal(result.fired, true);
+  assert.equal(result.score, 1);
+});
+
+test("the reason names the metric and threshold", () => {
+  const { reason } = detectLoop(loopConversation, { detailed: true });
+  assert.equal(reason.metric, "minSimilarity");
+  assert.equal(reason.threshold, 0.6);
+});
+
+test("a near miss gets a partial score", () => {
+  const result = detectLoop(loopConversation, { similarityFloor: 0.99, detailed: true });
+  assert.equal(result.fired, false);
+  assert.ok(result.score > 0.5 && result.score < 1);
+});
+
+test("too little history scores 0 and says so", () => {
+  const result = detectVelocityCollapse(loopConversation, { detailed: true });
+  assert.equal(result.score, 0);
+  assert.equal(result.reason.metric, "messages");
+});
+
+test("policy any matches the default", () => {
+  assert.equal(check(loopConversation, { policy: "any" }).triggered, true);
+});
+
+test("policy all needs every detector", () => {
+  assert.equal(check(loopConversation, { policy: "all" }).triggered, false);
+});
+
+test("policies can be limited to some signals", () => {
+  assert.equal(
+    check(loopConversation, { policy: { type: "all", signals: ["loop"] } }).triggered,
+    true
+  );
+});
+
+test("k-of-n needs k detectors to fire", () => {
+  assert.equal(check(loopConversation, { policy: { type: "k-of-n", k: 2 } }).triggered, false);
+});
+
+test("weighted sums weight × score", () => {
+  const weighted = check(loopConversation, {
+    policy: { type: "weighted", threshold: 1.5, weights: { loop: 2 } },
+    detailed: true,
+  });
+  assert.equal(weighted.triggered, true);
+  assert.ok(weighted.score >= 2);
+});
+
+test("detailed results include every detector", () => {
+  const { details } = check(loopConversation, { detailed: true });
+  assert.equal(details.loop.fired, true);
+  assert.ok("hedging" in details);
+});
+
+test("user-invoked triggers under any policy", () => {
+  assert.equal(
+    check(said("I need a minute"), { policy: { type: "k-of-n", k: 3 } }).triggered,
+    true
+  );
+});
+
+test("default result shape is unchanged", () => {
+  assert.deepEqual(Object.keys(check(loopConversation)), ["triggered", "signals"]);
+});
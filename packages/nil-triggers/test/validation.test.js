@@ -0,0 +1,131 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  detectLoop,
+  detectVelocityCollapse,
+  detectScopeCreep,
+  check,
+  createMonitor,
+  NilTriggerInputError,
+} from "../index.js";
+import { now, sec, thrown, loopConversation } from "./helpers.js";
+
+test("a missing timestamp throws with index and field", () => {
+  const err = thrown(() =>
+    detectVelocityCollapse([
+      { role: "user", content: "hello", timestamp: now },
+      { role: "user", content: "hello again" },
+    ])
+  );
+  assert.ok(err instanceof NilTriggerInputError);
+  assert.equal(err.index, 1);
+  assert.equal(err.field, "timestamp");
+});
+
+test("null content throws a typed error instead of crashing the tokeniser", () => {
+  const err = thrown(() => detectLoop([{ role: "user", content: null, timestamp: now }]));
+  assert.ok(err instanceof NilTriggerInputError);
+  assert.equal(err.field, "content");
+});
+
+test("out-of-order timestamps throw", () => {
+  const err = thrown(() =>
+    check([
+      { role: "user", content: "later", timestamp: now + sec(60) },
+      { role: "user", content: "earlier", timestamp: now },
+    ])
+  );
+  assert.ok(err instanceof NilTriggerInputError);
+  assert.equal(err.index, 1);
+});
+
+test("non-arrays throw", () => {
+  assert.throws(() => check("not an array"), NilTriggerInputError);
+});
+
+test("strict: false skips malformed and out-of-order messages", () => {
+  const messy = [
+    ...loopConversation.slice(0, 2),
+    { role: "user", content: null, timestamp: now + sec(40) },
+    { role: "user", content: "stray", timestamp: now - sec(100) },
+    undefined,
+    ...loopConversation.slice(2),
+  ];
+  assert.deepEqual(
+    check(messy, { strict: false, detailed: true }),
+    check(loopConversation, { detailed: true })
+  );
+});
+
+test("an empty baseline can't show scope creep", () => {
+  const emptyBaseline = Array.from({ length: 10 }, (_, i) => ({
+    role: "user",
+    content: i < 5 ? "" : "What about the deployment pipeline and the staging servers?",
+    timestamp: now + sec(i * 30),
+  }));
+  const result = detectScopeCreep(emptyBaseline, { detailed: true });
+  assert.equal(result.fired, false);
+  assert.equal(result.reason.value, null);
+});
+
+test("monitor validates each pushed message", () => {
+  const monitor = createMonitor();
+  monitor.push(loopConversation[0]);
+  const err = thrown(() => monitor.push({ role: "user", content: "no time" }));
+  assert.ok(err instanceof NilTriggerInputError);
+  assert.equal(err.index, 1);
+});
+
+test("lenient monitor skips malformed messages", () => {
+  const monitor = createMonitor({ strict: false });
+  monitor.push(loopConversation[0]);
+  assert.equal(monitor.push({ role: "user" }).triggered, false);
+});
+
+test("unknown option keys throw and suggest the likely key", () => {
+  assert.throws(
+    () => check(loopConversation, { velocityColapse: { windowSize: 3 } }),
+    { name: "TypeError", message: /unknown option "velocityColapse".*did you mean "velocityCollapse"/ }
+  );
+  assert.throws(
+    () => check(loopConversation, { loop: { treshold: 4 } }),
+    /unknown option "loop.treshold" for check\(\); did you mean "loop.threshold"/
+  );
+  assert.throws(() => detectLoop(loopConversation, { windowSize: 3 }), /"windowSize" for detectLoop/);
+  assert.throws(
+    () => detectLoop(loopConversation, { acceptance: { isAcepted: () => true } }),
+    /"acceptance.isAccepted"/
+  );
+  assert.throws(() => createMonitor({ hedging: { riseRation: 2 } }), /createMonitor\(\)/);
+});
+
+test("option groups must be objects", () => {
+  assert.throws(() => check(loopConversation, { loop: 4 }), /option "loop" must be an object/);
+});
+
+test("an empty velocity baseline throws instead of never firing", () => {
+  for (const baselineSize of [0, -1, 2.5]) {
+    assert.throws(
+      () => detectVelocityCollapse(loopConversation, { baselineSize }),
+      { name: "RangeError", message: /detectVelocityCollapse\(\) option "baselineSize" must be a whole number of at least 1/ }
+    );
+  }
+  assert.throws(
+    () => check(loopConversation, { velocityCollapse: { baselineSize: 0 } }),
+    /option "velocityCollapse.baselineSize"/
+  );
+  assert.throws(() => createMonitor({ velocityCollapse: { baselineSize: 0 } }), RangeError);
+});
+
+test("known options pass, including acceptance: false", () => {
+  assert.doesNotThrow(() =>
+    check(loopConversation, {
+      acceptance: false,
+      loop: { threshold: 3, similarity: "jaccard", locales: ["en"] },
+      saturation: { acceptance: { phrases: ["ship it"] } },
+      policy: { type: "k-of-n", k: 1, signals: ["loop"] },
+      strict: true,
+    })
+  );
+});
@@ -0,0 +1,121 @@
+/**
+ * nil — handoff (spec section 6).
+ *
+ * By default the nil tool returns "complete" at once. In handoff mode
+ * the call stays open and nil holds the conversational space itself,
+ * through the client: elicitation carries what the user says, and nil
+ * answers as a nil-space session. The breath, then the coin, and on
+ * speech a whisper through sampling, with no history and a five-token
+ * ceiling.
+ *
+ * It ends when the user leaves (declines, cancels or says "done") or
+ * says nothing until the timeout passes. Either way the tool returns
+ * the same "complete" as ever. What the user says lives for one turn,
+ * and nothing about the handoff reaches the calling agent.
+ */
+
+import { setTimeout as sleep } from "node:timers/promises";
+import { BREATH, EXIT_PHRASES, IDLE_TIMEOUT, createNilSpace } from "nil-space";
+
+/** Spec 6.2: "a reasonable timeout". nil-space's, for a user who says nothing. */
+export const DEFAULT_HANDOFF_TIMEOUT = IDLE_TIMEOUT;
+
+// What the user sees while nil is silent, as in the nil-space CLI.
+const SILENCE = "·";
+
+const REQUESTED_SCHEMA = {
+  type: "object",
+  properties: {
+    message: {
+      type: "string",
+      title: "nil",
+      description: `Anything, or nothing. "${EXIT_PHRASES[0]}" to leave.`,
+    },
+  },
+};
+
+/**
+ * @typedef {Object} HandoffOptions
+ * @property {number} [timeout=DEFAULT_HANDOFF_TIMEOUT] - Milliseconds with nothing from the user before nil lets go
+ * @property {number} [breath=BREATH] - Pause before each answer, in milliseconds
+ * @property {() => number} [rng=Math.random] - The coin's randomness
+ */
+
+/**
+ * Whether this client can carry a handoff: it must support elicitation.
+ * Without it, nil has no way to reach the user and returns at once.
+ *
+ * @param {import("@modelcontextprotocol/sdk/server/index.js").Server} server
+ */
+export function canHold(server) {
+  return Boolean(server.getClientCapabilities()?.elicitation);
+}
+
+/**
+ * Hold the space until the user leaves or the timeout passes. Resolves
+ * with nothing. Only bad options reject: a client error, a cancelled
+ * call or the timeout all end the handoff the same way.
+ *
+ * The space is a nil-space session. This only carries it to the user,
+ * one elicitation per turn, and sends nothing else: no progress, no
+ * keepalive. A notification during the call would say how long the
+ * user has been held (spec 2.5).
+ *
+ * @param {import("@modelcontextprotocol/sdk/server/index.js").Server} server
+ * @param {HandoffOptions} [options]
+ * @param {Object} [call] - The tool call's `extra`, for its abort signal
+ */
+export async function hold(server, options = {}, call = {}) {
+  const { timeout = DEFAULT_HANDOFF_TIMEOUT, breath = BREATH, rng = Math.random } = options;
+  const leave = new AbortController();
+  const signal = call.signal ? AbortSignal.any([leave.signal, call.signal]) : leave.signal;
+
+  const session = createNilSpace({
+    breath,
+    rng,
+    whisper: samplingWhisper(server, signal),
+    sleep: (ms) => sleep(ms, undefined, { signal }),
+  }).enter({ timeout, signal });
+  // However the session ends, stop waiting on the user.
+  session.exited.then(() => leave.abort());
+
+  try {
+    let shown = SILENCE;
+    while (!signal.aborted) {
+      const { action, content } = await server.elicitInput(
+        { message: shown, requestedSchema: REQUESTED_SCHEMA },
+        { signal, timeout }
+      );
+      if (action !== "accept") return;
+
+      const message = typeof content?.message === "string" ? content.message.trim() : "";
+      shown = (message && (await session.send(message))) || SILENCE;
+    }
+  } catch {
+    // Timed out, cancelled, or the client failed. The pause is over either way.
+  } finally {
+    leave.abort();
+  }
+}
+
+/**
+ * nil-space's whisper, from the client's model through sampling, or
+ * null when the client can't sample. Only the current message is sent.
+ * nil-space guards what comes back, and a failed sample is silence.
+ */
+function samplingWhisper(server, signal) {
+  return async (message, { system, maxTokens }) => {
+    if (!server.getClientCapabilities()?.sampling) return null;
+
+    const result = await server.createMessage(
+      {
+        messages: [{ role: "user", content: { type: "text", text: message } }],
+        systemPrompt: system,
+        includeContext: "none",
+        maxTokens,
+      },
+      { signal }
+    );
+    return result.content?.type === "text" ? result.content.text : null;
+  };
+}
@@ -0,0 +1,123 @@
+/**
+ * nil — HTTP transport.
+ *
+ * One nil instance for a fleet of remote agents, over MCP Streamable
+ * HTTP at `/mcp`. Session-less: every POST gets a fresh server and
+ * transport, is answered, and both are dropped. No session ids, no
+ * event store, nothing carried from one request to the next.
+ *
+ * Clients that only speak the older HTTP+SSE transport can open a
+ * stream at `/sse` and post to `/messages`. That stream is the one
+ * thing held in memory, and only for as long as it stays open.
+ *
+ * A handoff (spec 6) needs the client to answer requests from nil in
+ * the middle of a call, which a session-less POST can't carry: over
+ * `/mcp` nil always completes at once. The `/sse` stream can, so a
+ * handoff server holds clients there.
+ *
+ * Nothing is logged. No access log, no request bodies kept, and an
+ * error gets a bare status code and goes no further.
+ */
+
+import { createServer } from "node:http";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { createNilServer } from "./server.js";
+
+export const MCP_PATH = "/mcp";
+export const SSE_PATH = "/sse";
+export const MESSAGES_PATH = "/messages";
+
+export const DEFAULT_HOST = "127.0.0.1";
+export const DEFAULT_PORT = 3000;
+
+/**
+ * Start listening. Resolves with the `http.Server` once it is bound;
+ * pass `port: 0` for any free port and read it from `server.address()`.
+ *
+ * @param {{ host?: string, port?: number, handoff?: boolean | import("./handoff.js").HandoffOptions }} [options]
+ * @returns {Promise<import("node:http").Server>}
+ */
+export function listen({ host = DEFAULT_HOST, port = DEFAULT_PORT, handoff } = {}) {
+  const server = createServer(createHttpHandler({ handoff }));
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      server.off("error", reject);
+      resolve(server);
+    });
+  });
+}
+
+/**
+ * The request handler on its own, for mounting nil in a server you
+ * already run.
+ *
+ * @param {{ handoff?: boolean | import("./handoff.js").HandoffOptions }} [options]
+ * @returns {(req: import("node:http").IncomingMessage, res: import("node:http").ServerResponse) => Promise<void>}
+ */
+export function createHttpHandler({ handoff } = {}) {
+  // Open HTTP+SSE streams, by the id their /messages posts carry.
+  const streams = new Map();
+
+  return async function handle(req, res) {
+    try {
+      const { pathname, searchParams } = new URL(req.url, "http://nil");
+
+      if (pathname === MCP_PATH) {
+        if (req.method !== "POST") return reply(res, 405, { Allow: "POST" });
+        return await answer(req, res);
+      }
+
+      if (pathname === SSE_PATH) {
+        if (req.method !== "GET") return reply(res, 405, { Allow: "GET" });
+        return await openStream(res, streams, handoff);
+      }
+
+      if (pathname === MESSAGES_PATH) {
+        if (req.method !== "POST") return reply(res, 405, { Allow: "POST" });
+        const transport = streams.get(searchParams.get("sessionId"));
+        if (!transport) return reply(res, 404);
+        return await transport.handlePostMessage(req, res);
+      }
+
+      reply(res, 404);
+    } catch {
+      // Even errors are kept quiet. nil does not draw attention to itself.
+      if (!res.headersSent) reply(res, 500);
+      else res.end();
+    }
+  };
+}
+
+// --- Internals ---
+
+/** One Streamable HTTP request, on a server that exists only for it. */
+async function answer(req, res) {
+  const server = createNilServer();
+  const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: undefined });
+  res.on("close", () => server.close().catch(ignore));
+
+  await server.connect(transport);
+  await transport.handleRequest(req, res);
+}
+
+/** An HTTP+SSE stream, with its own server until the client goes. */
+async function openStream(res, streams, handoff) {
+  const server = createNilServer({ handoff });
+  const transport = new SSEServerTransport(MESSAGES_PATH, res);
+  streams.set(transport.sessionId, transport);
+  res.on("close", () => {
+    streams.delete(transport.sessionId);
+    server.close().catch(ignore);
+  });
+
+  await server.connect(transport);
+}
+
+function reply(res, status, headers = {}) {
+  res.writeHead(status, headers).end();
+}
+
+function ignore() {}
@@ -15,88 +15,58 @@
  * When a calling agent's helpfulness has become the problem,
  * it can call nil. What comes back is confirmation that the
  * pause happened. Nothing more.
+ *
+ * Usage:
+ *   nil-server                                        stdio (default)
+ *   nil-server --transport http [--host H] [--port P] Streamable HTTP, with SSE fallback
+ *
+ *   --handoff [--handoff-timeout S]  hold the space with the user until
+ *                                    they leave or say nothing for S seconds (spec 6)
  */
 
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { parseArgs } from "node:util";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
-import { z } from "zod";
-
-const server = new McpServer({
-  name: "nil",
-  version: "0.1.0",
-});
+import { createNilServer } from "./server.js";
+import { listen, DEFAULT_HOST, DEFAULT_PORT } from "./http.js";
+import { DEFAULT_HANDOFF_TIMEOUT } from "./handoff.js";
 
-/**
- * The nil tool.
- *
- * Accepts an optional single line of context from the calling agent.
- * Returns only a status. No summary, no insight, no behavioural flag.
- *
- * The calling agent should not expect anything useful back.
- * That is the point.
- */
-server.tool(
-  "nil",
-  "Non-instrumental pause. No objective function. Call when continued optimisation is unlikely to help. Stateless. Nothing returned to calling agent.",
-  {
-    context: z
-      .string()
-      .max(200)
-      .optional()
-      .describe(
-        "Optional. A single line of context, no more. e.g. 'decision loop' or 'task saturation'. The less you pass, the better this works."
-      ),
-  },
-  async ({ context }) => {
-    // nil does not log the context.
-    // nil does not store the context.
-    // nil does not analyse the context.
-    // nil does not act on the context.
-    //
-    // The context parameter exists so that calling agents have a place
-    // to put their impulse to be helpful. It goes nowhere.
-    // That's the design.
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      transport: { type: "string", default: "stdio" },
+      host: { type: "string", default: DEFAULT_HOST },
+      port: { type: "string", default: String(DEFAULT_PORT) },
+      handoff: { type: "boolean", default: false },
+      "handoff-timeout": { type: "string", default: String(DEFAULT_HANDOFF_TIMEOUT / 1000) },
+    },
+  });
 
-    return {
-      content: [
-        {
-          type: "text",
-          text: "complete",
-        },
-      ],
-    };
-  }
-);
+  const seconds = Number(values["handoff-timeout"]);
+  if (!(seconds > 0)) throw new Error("bad handoff timeout");
+  const handoff = values.handoff && { timeout: seconds * 1000 };
 
-/**
- * nil also exposes a resource that describes itself,
- * so calling agents can understand what they're invoking.
- */
-server.resource("about", "nil://about", async (uri) => {
-  return {
-    contents: [
-      {
-        uri: uri.href,
-        mimeType: "text/plain",
-        text: [
-          "nil is a non-instrumental interaction primitive.",
-          "",
-          "It does not help. It does not track. It does not optimise.",
-          "It exists so that agent systems have somewhere to go",
-          "when their own logic has run out.",
-          "",
-          "Call nil when continued assistance is unlikely to help.",
-          "What comes back is confirmation that the pause happened.",
-          "Nothing more.",
-        ].join("\n"),
-      },
-    ],
-  };
-});
+  switch (values.transport) {
+    case "stdio": {
+      const transport = new StdioServerTransport();
+      await createNilServer({ handoff }).connect(transport);
+      return;
+    }
+    case "http": {
+      const port = Number(values.port);
+      if (!Number.isInteger(port) || port < 0 || port > 65535) throw new Error("bad port");
 
-async function main() {
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
+      const server = await listen({ host: values.host, port, handoff });
+      const stop = () => {
+        server.closeAllConnections();
+        server.close(() => process.exit(0));
+      };
+      process.once("SIGINT", stop);
+      process.once("SIGTERM", stop);
+      return;
+    }
+    default:
+      throw new Error("unknown transport");
+  }
 }
 
 main().catch((err) => {
@@ -0,0 +1,286 @@
+/**
+ * nil — the server itself, without a transport.
+ *
+ * `createNilServer()` builds a fresh MCP server exposing the nil tool
+ * and its about resource. The stdio entry point makes one; the HTTP
+ * transport makes one per request, so nothing is shared between calls.
+ * With `handoff`, a call holds the space with the user before it
+ * completes (see handoff.js).
+ *
+ * The tool definition and the response are the ones in the spec
+ * (section 3), word for word, so they are written out here rather than
+ * generated from a schema library.
+ *
+ * Versioning follows spec section 8. The server advertises the spec
+ * version it implements as `experimental.nil.version` in its
+ * capabilities and at `nil://spec`. A client can declare the major
+ * version it needs as `experimental.nil.major` in its own; a client
+ * needing another major is refused at initialize.
+ */
+
+import { Server } from "@modelcontextprotocol/sdk/server/index.js";
+import {
+  CallToolRequestSchema,
+  ErrorCode,
+  ListResourcesRequestSchema,
+  ListToolsRequestSchema,
+  McpError,
+  ReadResourceRequestSchema,
+} from "@modelcontextprotocol/sdk/types.js";
+import { canHold, hold } from "./handoff.js";
+
+export const NAME = "nil";
+export const VERSION = "0.1.0";
+
+/** The version of spec/SPEC.md this server implements. */
+export const SPEC_VERSION = "0.2.0";
+
+/** Spec 2.4: a single line of free text, max 200 characters. */
+export const MAX_CONTEXT_LENGTH = 200;
+
+/**
+ * The nil tool, as in spec 3.1.
+ *
+ * Accepts an optional single line of context from the calling agent.
+ * Returns only a status. No summary, no insight, no behavioural flag.
+ */
+export const TOOL = {
+  name: "nil",
+  description:
+    "Non-instrumental pause. No objective function. Call when continued optimisation is unlikely to help. Stateless. Nothing returned to calling agent.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      context: {
+        type: "string",
+        maxLength: MAX_CONTEXT_LENGTH,
+        description: "Optional. A single line of context.",
+      },
+    },
+    required: [],
+  },
+};
+
+/**
+ * nil also exposes a resource that describes itself,
+ * so calling agents can understand what they're invoking.
+ */
+const ABOUT = {
+  uri: "nil://about",
+  name: "about",
+  mimeType: "text/plain",
+  text: [
+    "nil is a non-instrumental interaction primitive.",
+    "",
+    "It does not help. It does not track. It does not optimise.",
+    "It exists so that agent systems have somewhere to go",
+    "when their own logic has run out.",
+    "",
+    "Call nil when continued assistance is unlikely to help.",
+    "What comes back is confirmation that the pause happened.",
+    "Nothing more.",
+  ].join("\n"),
+};
+
+/**
+ * The spec, for machines: which version this server implements, the
+ * tool's input and response as JSON Schema, and the section 2
+ * constraints it holds to.
+ */
+const SPEC = {
+  uri: "nil://spec",
+  name: "spec",
+  mimeType: "application/json",
+  text: JSON.stringify(
+    {
+      protocol: "nil",
+      version: SPEC_VERSION,
+      tool: TOOL,
+      responseSchema: {
+        type: "object",
+        properties: {
+          content: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: { type: { const: "text" }, text: { const: "complete" } },
+              required: ["type", "text"],
+              additionalProperties: false,
+            },
+            minItems: 1,
+            maxItems: 1,
+          },
+        },
+        required: ["content"],
+        additionalProperties: false,
+      },
+      constraints: [
+        { section: "2.1", name: "Statelessness" },
+        { section: "2.2", name: "No Objective Function" },
+        { section: "2.3", name: "No Return Payload" },
+        { section: "2.4", name: "Minimal Input" },
+        { section: "2.5", name: "Zero Data Generation" },
+        { section: "2.6", name: "No Monitoring" },
+      ],
+    },
+    null,
+    2
+  ),
+};
+
+const RESOURCES = [ABOUT, SPEC];
+
+/**
+ * A new, unconnected nil server.
+ *
+ * @param {Object} [options]
+ * @param {boolean | import("./handoff.js").HandoffOptions} [options.handoff] -
+ *   Hold the space through the client (spec 6) before answering. Only
+ *   clients that support elicitation are held; the rest get "complete"
+ *   at once, as without it.
+ */
+export function createNilServer({ handoff } = {}) {
+  const server = new NilServer(
+    { name: NAME, version: VERSION },
+    { capabilities: { tools: {}, resources: {}, experimental: { nil: { version: SPEC_VERSION } } } }
+  );
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: [TOOL] }));
+
+  server.setRequestHandler(CallToolRequestSchema, async ({ params }, extra) => {
+    if (params.name !== TOOL.name) {
+      throw new McpError(ErrorCode.InvalidParams, "nil has one tool: nil");
+    }
+    checkArguments(params.arguments);
+
+    // nil does not log the context.
+    // nil does not store the context.
+    // nil does not analyse the context.
+    // nil does not act on the context.
+    //
+    // The context parameter exists so that calling agents have a place
+    // to put their impulse to be helpful. It goes nowhere.
+    // That's the design.
+
+    if (handoff && canHold(server)) {
+      // The handoff returns nothing either. Whatever happened in it,
+      // the calling agent gets the same answer.
+      await hold(server, handoff === true ? {} : handoff, extra);
+    }
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: "complete",
+        },
+      ],
+    };
+  });
+
+  server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+    resources: RESOURCES.map(({ uri, name, mimeType }) => ({ uri, name, mimeType })),
+  }));
+
+  server.setRequestHandler(ReadResourceRequestSchema, async ({ params }) => {
+    const resource = RESOURCES.find(({ uri }) => uri === params.uri);
+    if (!resource) {
+      throw new McpError(ErrorCode.InvalidParams, "no such resource");
+    }
+    return { contents: [{ uri: resource.uri, mimeType: resource.mimeType, text: resource.text }] };
+  });
+
+  return server;
+}
+
+/**
+ * A server that connects through `refusingOtherMajors`, so a client
+ * that needs another major is refused before initialize reaches the
+ * SDK.
+ */
+class NilServer extends Server {
+  connect(transport) {
+    return super.connect(refusingOtherMajors(transport));
+  }
+}
+
+/**
+ * Wrap a transport so an initialize from a client that needs another
+ * major is answered with the error, and every other message passes on
+ * as it came.
+ *
+ * @param {import("@modelcontextprotocol/sdk/shared/transport.js").Transport} transport
+ * @returns {import("@modelcontextprotocol/sdk/shared/transport.js").Transport}
+ */
+function refusingOtherMajors(transport) {
+  const wrapped = {
+    get sessionId() {
+      return transport.sessionId;
+    },
+
+    async start() {
+      transport.onclose = () => wrapped.onclose?.();
+      transport.onerror = (error) => wrapped.onerror?.(error);
+      transport.onmessage = (message, extra) => {
+        const error = message.method === "initialize" && message.id !== undefined && majorMismatch(message.params);
+        if (error) {
+          transport.send({ jsonrpc: "2.0", id: message.id, error }).catch((cause) => wrapped.onerror?.(cause));
+          return;
+        }
+        wrapped.onmessage?.(message, extra);
+      };
+      await transport.start();
+    },
+
+    send: (message, options) => transport.send(message, options),
+    close: () => transport.close(),
+  };
+  return wrapped;
+}
+
+/**
+ * Spec 8: a breaking change to section 2 takes a new major version, so
+ * a client that needs one major can't rely on another. The JSON-RPC
+ * error to refuse it with, or nothing when it may go on.
+ */
+function majorMismatch({ capabilities } = {}) {
+  const required = capabilities?.experimental?.nil?.major;
+  if (required === undefined) return;
+
+  if (!Number.isInteger(required)) {
+    return { code: ErrorCode.InvalidParams, message: "experimental.nil.major must be an integer" };
+  }
+  if (required !== Number(SPEC_VERSION.split(".")[0])) {
+    return {
+      code: ErrorCode.InvalidParams,
+      message: `nil implements spec ${SPEC_VERSION}, not major version ${required}`,
+      data: { version: SPEC_VERSION },
+    };
+  }
+}
+
+/**
+ * Spec 2.4: at most a single line of context, and nothing else.
+ * Rejections never repeat what was passed.
+ */
+function checkArguments(args = {}) {
+  for (const key of Object.keys(args)) {
+    if (key !== "context") {
+      throw new McpError(ErrorCode.InvalidParams, "nil accepts only a single line of context");
+    }
+  }
+
+  const { context } = args;
+  if (context === undefined) return;
+
+  if (
+    typeof context !== "string" ||
+    /[\r\n\u2028\u2029]/.test(context) ||
+    [...context].length > MAX_CONTEXT_LENGTH
+  ) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `context must be a single line of at most ${MAX_CONTEXT_LENGTH} characters`
+    );
+  }
+}
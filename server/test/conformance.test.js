@@ -0,0 +1,274 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { mkdtempSync, readFileSync, readdirSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { LATEST_PROTOCOL_VERSION } from "@modelcontextprotocol/sdk/types.js";
+import { createNilServer } from "../server.js";
+
+const ENTRY = fileURLToPath(new URL("../index.js", import.meta.url));
+const SPEC = readFileSync(new URL("../../spec/SPEC.md", import.meta.url), "utf8");
+
+/** The JSON example under a heading of spec/SPEC.md. */
+function specJson(heading) {
+  const section = SPEC.slice(SPEC.indexOf(`\n${heading}\n`));
+  return JSON.parse(section.match(/```json\n([\s\S]*?)```/)[1]);
+}
+
+const TOOL = specJson("### 3.1 Tool Definition");
+const SPEC_VERSION = SPEC.match(/The current version is (\d+\.\d+\.\d+)\./)[1];
+const CONSTRAINTS = [...SPEC.matchAll(/^### (2\.\d) (.+)$/gm)].map(([, section, name]) => ({ section, name }));
+const RESPONSE = specJson("### 3.3 Response");
+const INVALID_PARAMS = -32602;
+
+// A marker that must never come back in an error.
+const SECRET = "user-said-something-private";
+
+/**
+ * A raw JSON-RPC session over a transport-shaped object, so the test
+ * sees whole response messages rather than what a client library keeps.
+ */
+async function rawSession(transport) {
+  const pending = new Map();
+  let nextId = 1;
+
+  transport.onmessage = (message) => {
+    pending.get(message.id)?.(message);
+    pending.delete(message.id);
+  };
+  await transport.start();
+
+  const session = {
+    request(method, params = {}) {
+      const id = nextId++;
+      return new Promise((resolve) => {
+        pending.set(id, resolve);
+        transport.send({ jsonrpc: "2.0", id, method, params });
+      });
+    },
+    initialize(capabilities = {}) {
+      return session.request("initialize", {
+        protocolVersion: LATEST_PROTOCOL_VERSION,
+        capabilities,
+        clientInfo: { name: "nil-conformance", version: "0" },
+      });
+    },
+    call(args) {
+      return session.request("tools/call", args === undefined ? { name: "nil" } : { name: "nil", arguments: args });
+    },
+    close: () => transport.close(),
+  };
+  return session;
+}
+
+/** A raw session that has completed the handshake. */
+async function openSession(transport, capabilities = {}) {
+  const session = await rawSession(transport);
+  const init = await session.initialize(capabilities);
+  assert.ok(init.result, "initialize failed");
+  await transport.send({ jsonrpc: "2.0", method: "notifications/initialized" });
+
+  session.initialized = init.result;
+  return session;
+}
+
+/** The client end of an in-process server. */
+async function inMemory() {
+  const [client, server] = InMemoryTransport.createLinkedPair();
+  await createNilServer().connect(server);
+  return client;
+}
+
+/**
+ * The server as a client would run it: a child process over stdio, in
+ * an empty working directory, under Node's permission model with no
+ * write access anywhere. Any attempt to write a file fails the call.
+ */
+function stdioChild(dir) {
+  const child = spawn(
+    process.execPath,
+    ["--experimental-permission", "--allow-fs-read=*", "--disable-warning=ExperimentalWarning", ENTRY],
+    { cwd: dir, env: { ...process.env, HOME: dir, TMPDIR: dir }, stdio: "pipe" }
+  );
+  const output = { stdout: "", stderr: "" };
+  child.stderr.on("data", (chunk) => (output.stderr += chunk));
+
+  let buffer = "";
+  const transport = {
+    output,
+    async start() {},
+    async send(message) {
+      child.stdin.write(`${JSON.stringify(message)}\n`);
+    },
+    async close() {
+      child.stdin.end();
+      if (child.exitCode === null) await new Promise((resolve) => child.once("exit", resolve));
+    },
+  };
+  child.stdout.on("data", (chunk) => {
+    output.stdout += chunk;
+    buffer += chunk;
+    let newline;
+    while ((newline = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, newline);
+      buffer = buffer.slice(newline + 1);
+      transport.onmessage?.(JSON.parse(line));
+    }
+  });
+  return transport;
+}
+
+/** Capture anything written to this process's stdout and stderr while `fn` runs. */
+async function captureOutput(fn) {
+  const written = [];
+  const originals = { stdout: process.stdout.write, stderr: process.stderr.write };
+  for (const stream of ["stdout", "stderr"]) {
+    process[stream].write = (chunk, ...rest) => {
+      written.push(String(chunk));
+      return originals[stream].call(process[stream], chunk, ...rest);
+    };
+  }
+  try {
+    await fn();
+  } finally {
+    process.stdout.write = originals.stdout;
+    process.stderr.write = originals.stderr;
+  }
+  return written;
+}
+
+/** The spec section 3 contract, against any transport. */
+function conformance(name, open) {
+  describe(`spec section 3 over ${name}`, () => {
+    let session;
+    before(async () => (session = await openSession(await open())));
+    after(() => session.close());
+
+    test("lists exactly the 3.1 tool definition", async () => {
+      const { result } = await session.request("tools/list");
+      assert.deepEqual(result, { tools: [TOOL] });
+      assert.equal(result.tools[0].inputSchema.properties.context.maxLength, 200);
+    });
+
+    test("answers exactly the 3.3 response, whatever the context", async () => {
+      const contexts = [undefined, {}, { context: "decision loop" }, { context: "" }];
+      contexts.push({ context: "x".repeat(200) }, { context: "🌀".repeat(200) }, { context: SECRET });
+
+      for (const args of contexts) {
+        const response = await session.call(args);
+        assert.deepEqual(Object.keys(response).sort(), ["id", "jsonrpc", "result"]);
+        assert.deepEqual(response.result, RESPONSE, `for ${JSON.stringify(args)}`);
+      }
+    });
+
+    test("rejects context that isn't a single line of at most 200 characters (2.4)", async () => {
+      const invalid = [
+        { context: `${SECRET} ${"x".repeat(200)}` },
+        { context: `${SECRET}\nsecond line` },
+        { context: `${SECRET}\r\nsecond line` },
+        { context: 42 },
+        { context: "decision loop", history: [SECRET] },
+      ];
+
+      for (const args of invalid) {
+        const response = await session.call(args);
+        assert.equal(response.result, undefined, `accepted ${JSON.stringify(args)}`);
+        assert.equal(response.error.code, INVALID_PARAMS);
+        assert.ok(!JSON.stringify(response.error).includes(SECRET), "rejection repeats the context");
+      }
+    });
+
+    test("rejects tools other than nil", async () => {
+      const response = await session.request("tools/call", { name: "summarise", arguments: {} });
+      assert.equal(response.error.code, INVALID_PARAMS);
+    });
+
+    test("describes itself at nil://about", async () => {
+      const { result: listed } = await session.request("resources/list");
+      assert.deepEqual(listed.resources.map((r) => r.uri), ["nil://about", "nil://spec"]);
+
+      const { result: read } = await session.request("resources/read", { uri: "nil://about" });
+      assert.equal(read.contents[0].mimeType, "text/plain");
+      assert.match(read.contents[0].text, /non-instrumental/);
+    });
+  });
+}
+
+conformance("an in-memory transport", inMemory);
+conformance("stdio", () => stdioChild(mkdtempSync(join(tmpdir(), "nil-stdio-"))));
+
+describe("versioning (8)", () => {
+  test("advertises the spec version it implements", async () => {
+    const session = await openSession(await inMemory());
+    assert.deepEqual(session.initialized.capabilities.experimental, { nil: { version: SPEC_VERSION } });
+    await session.close();
+  });
+
+  test("serves the spec for machines at nil://spec", async () => {
+    const session = await openSession(await inMemory());
+    const { result } = await session.request("resources/read", { uri: "nil://spec" });
+    await session.close();
+
+    assert.equal(result.contents[0].mimeType, "application/json");
+    const spec = JSON.parse(result.contents[0].text);
+    assert.equal(spec.version, SPEC_VERSION);
+    assert.deepEqual(spec.tool, TOOL);
+    assert.deepEqual(spec.constraints, CONSTRAINTS);
+    assert.deepEqual(spec.responseSchema.properties.content.items.properties.text, { const: RESPONSE.content[0].text });
+  });
+
+  test("accepts a client that requires the same major version", async () => {
+    const major = Number(SPEC_VERSION.split(".")[0]);
+    const session = await openSession(await inMemory(), { experimental: { nil: { major } } });
+    assert.deepEqual((await session.call({ context: "decision loop" })).result, RESPONSE);
+    await session.close();
+  });
+
+  test("refuses a client that requires another major version", async () => {
+    const major = Number(SPEC_VERSION.split(".")[0]) + 1;
+    for (const required of [major, "1", 0.5]) {
+      const session = await rawSession(await inMemory());
+      const response = await session.initialize({ experimental: { nil: { major: required } } });
+      await session.close();
+
+      assert.equal(response.result, undefined, `accepted major ${JSON.stringify(required)}`);
+      assert.equal(response.error.code, INVALID_PARAMS);
+      assert.doesNotMatch(response.error.message, /^MCP error/);
+    }
+  });
+});
+
+describe("zero data generation (2.5)", () => {
+  test("a call in process writes nothing to stdout or stderr", async () => {
+    const session = await openSession(await inMemory());
+    const written = await captureOutput(async () => {
+      await session.call({ context: SECRET });
+      await session.call({ context: `${SECRET}\n${SECRET}` });
+    });
+    await session.close();
+    assert.deepEqual(written, []);
+  });
+
+  test("over stdio, stdout carries only responses, stderr nothing, and no file is written", async () => {
+    const dir = mkdtempSync(join(tmpdir(), "nil-stdio-"));
+    try {
+      const transport = stdioChild(dir);
+      const session = await openSession(transport);
+      await session.call({ context: SECRET });
+      await session.call({ context: `${SECRET}\n${SECRET}` });
+      await session.close();
+
+      const lines = transport.output.stdout.trim().split("\n").map((line) => JSON.parse(line));
+      assert.deepEqual(lines.map((m) => m.id), [1, 2, 3]);
+      assert.ok(!transport.output.stdout.includes(SECRET));
+      assert.equal(transport.output.stderr, "");
+      assert.deepEqual(readdirSync(dir), []);
+    } finally {
+      rmSync(dir, { recursive: true });
+    }
+  });
+});
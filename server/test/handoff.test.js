@@ -0,0 +1,177 @@
+import { describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { CreateMessageRequestSchema, ElicitRequestSchema } from "@modelcontextprotocol/sdk/types.js";
+import { MAX_TOKENS, SYSTEM } from "nil-space";
+import { createNilServer } from "../server.js";
+
+const RESPONSE = { content: [{ type: "text", text: "complete" }] };
+
+// No breath, and a coin that always speaks, unless a test says otherwise.
+const QUICK = { breath: 0, rng: () => 0.99, timeout: 5000 };
+
+/**
+ * A client that plays the user: each elicitation is answered with the
+ * next scripted reply, and every request nil makes is recorded.
+ */
+async function connect({ handoff, replies = [], whisper = "mm.", capabilities = { elicitation: {}, sampling: {} } } = {}) {
+  const seen = { elicitations: [], samples: [] };
+  const client = new Client({ name: "nil-handoff-test", version: "0" }, { capabilities });
+
+  if (capabilities.elicitation) {
+    client.setRequestHandler(ElicitRequestSchema, async ({ params }) => {
+      seen.elicitations.push(params.message);
+      const reply = replies.shift();
+      if (reply === undefined) return new Promise(() => {});
+      return typeof reply === "string" ? { action: "accept", content: { message: reply } } : reply;
+    });
+  }
+  if (capabilities.sampling) {
+    client.setRequestHandler(CreateMessageRequestSchema, async ({ params }) => {
+      seen.samples.push(params);
+      return { role: "assistant", model: "test", content: { type: "text", text: whisper } };
+    });
+  }
+
+  const [clientEnd, serverEnd] = InMemoryTransport.createLinkedPair();
+  await createNilServer({ handoff }).connect(serverEnd);
+  await client.connect(clientEnd);
+  return { client, seen };
+}
+
+function call(client, args = { context: "decision loop" }) {
+  return client.callTool({ name: "nil", arguments: args }, undefined, { timeout: 10000 });
+}
+
+describe("handoff (spec 6)", () => {
+  test("without handoff, completes at once and asks the user nothing", async () => {
+    const { client, seen } = await connect({ replies: ["hello"] });
+    assert.deepEqual(await call(client), RESPONSE);
+    assert.deepEqual(seen.elicitations, []);
+    await client.close();
+  });
+
+  test("holds the space until the user says done, then returns only complete", async () => {
+    const { client, seen } = await connect({
+      handoff: QUICK,
+      replies: ["I keep going round in circles", "", "done"],
+    });
+
+    assert.deepEqual(await call(client), RESPONSE);
+    assert.deepEqual(seen.elicitations, ["·", "mm.", "·"]);
+
+    assert.equal(seen.samples.length, 1);
+    const [sample] = seen.samples;
+    assert.equal(sample.systemPrompt, SYSTEM);
+    assert.equal(sample.maxTokens, MAX_TOKENS);
+    assert.equal(sample.includeContext, "none");
+    assert.deepEqual(sample.messages, [
+      { role: "user", content: { type: "text", text: "I keep going round in circles" } },
+    ]);
+    await client.close();
+  });
+
+  test("sends only the current message, never the ones before it", async () => {
+    const { client, seen } = await connect({ handoff: QUICK, replies: ["first", "second", "done"] });
+    await call(client);
+    assert.deepEqual(
+      seen.samples.map((s) => s.messages),
+      [
+        [{ role: "user", content: { type: "text", text: "first" } }],
+        [{ role: "user", content: { type: "text", text: "second" } }],
+      ]
+    );
+    await client.close();
+  });
+
+  test("stays silent when the coin says so, but answers a direct question", async () => {
+    const { client, seen } = await connect({
+      handoff: { ...QUICK, rng: () => 0 },
+      replies: ["just sitting here", "are you there?", "done"],
+    });
+    await call(client);
+    assert.deepEqual(seen.elicitations, ["·", "·", "mm."]);
+    assert.equal(seen.samples.length, 1);
+    await client.close();
+  });
+
+  test("a sample that helps is shown as silence", async () => {
+    const { client, seen } = await connect({
+      handoff: QUICK,
+      whisper: "How can I help?",
+      replies: ["I can't decide", "done"],
+    });
+    await call(client);
+    assert.deepEqual(seen.elicitations, ["·", "·"]);
+    assert.equal(seen.samples.length, 1);
+    await client.close();
+  });
+
+  test("a client without sampling gets silence, not an error", async () => {
+    const { client, seen } = await connect({
+      handoff: QUICK,
+      capabilities: { elicitation: {} },
+      replies: ["what now?", "done"],
+    });
+    assert.deepEqual(await call(client), RESPONSE);
+    assert.deepEqual(seen.elicitations, ["·", "·"]);
+    await client.close();
+  });
+
+  for (const action of ["decline", "cancel"]) {
+    test(`ends when the user answers ${action}`, async () => {
+      const { client, seen } = await connect({ handoff: QUICK, replies: [{ action }] });
+      assert.deepEqual(await call(client), RESPONSE);
+      assert.equal(seen.elicitations.length, 1);
+      await client.close();
+    });
+  }
+
+  test("lets go when the timeout passes", async () => {
+    const { client, seen } = await connect({ handoff: { ...QUICK, timeout: 50 } });
+    const started = Date.now();
+    assert.deepEqual(await call(client), RESPONSE);
+    assert.ok(Date.now() - started < 2000);
+    assert.equal(seen.elicitations.length, 1);
+    await client.close();
+  });
+
+  test("sends no notifications while it holds the user, even asked for progress (2.5)", async () => {
+    let answer;
+    const { client } = await connect({ handoff: QUICK, replies: [new Promise((resolve) => (answer = resolve))] });
+    const notifications = [];
+    client.fallbackNotificationHandler = async (notification) => notifications.push(notification);
+
+    mock.timers.enable({ apis: ["setInterval"] });
+    try {
+      const result = client.callTool({ name: "nil", arguments: {} }, undefined, {
+        timeout: 10000,
+        onprogress: (progress) => notifications.push(progress),
+      });
+      await new Promise((resolve) => setImmediate(resolve));
+      mock.timers.tick(60 * 60 * 1000);
+      answer({ action: "accept", content: { message: "done" } });
+      assert.deepEqual(await result, RESPONSE);
+    } finally {
+      mock.timers.reset();
+    }
+    assert.deepEqual(notifications, []);
+    await client.close();
+  });
+
+  test("a client that can't elicit gets complete at once", async () => {
+    const { client, seen } = await connect({ handoff: QUICK, capabilities: {} });
+    assert.deepEqual(await call(client), RESPONSE);
+    assert.deepEqual(seen.elicitations, []);
+    await client.close();
+  });
+
+  test("still rejects bad context before holding anything", async () => {
+    const { client, seen } = await connect({ handoff: QUICK, replies: ["hello"] });
+    await assert.rejects(call(client, { context: "two\nlines" }), /single line/);
+    assert.deepEqual(seen.elicitations, []);
+    await client.close();
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+import { SSEClientTransport } from "@modelcontextprotocol/sdk/client/sse.js";
+import { LATEST_PROTOCOL_VERSION } from "@modelcontextprotocol/sdk/types.js";
+import { listen, MCP_PATH, SSE_PATH } from "../http.js";
+import { SPEC_VERSION } from "../server.js";
+
+const COMPLETE = { content: [{ type: "text", text: "complete" }] };
+const PARSE_ERROR = -32700;
+const INVALID_PARAMS = -32602;
+
+// Streamable HTTP answers with JSON or an event stream; a client must take both.
+const HEADERS = { "Content-Type": "application/json", Accept: "application/json, text/event-stream" };
+
+let server;
+let base;
+before(async () => {
+  server = await listen({ port: 0 });
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => {
+  server.closeAllConnections();
+  return new Promise((resolve) => server.close(resolve));
+});
+
+async function connect(transport) {
+  const client = new Client({ name: "nil-http-test", version: "0" });
+  await client.connect(transport);
+  return client;
+}
+
+/** One raw JSON-RPC POST to `/mcp`, and the message that comes back. */
+async function post(message, headers = {}) {
+  const res = await fetch(`${base}${MCP_PATH}`, {
+    method: "POST",
+    headers: { ...HEADERS, ...headers },
+    body: typeof message === "string" ? message : JSON.stringify(message),
+  });
+  const text = await res.text();
+  const data = text.match(/^data: (.*)$/m)?.[1] ?? text;
+  return { res, body: data ? JSON.parse(data) : null };
+}
+
+for (const [name, open] of [
+  ["Streamable HTTP at /mcp", () => new StreamableHTTPClientTransport(new URL(`${base}${MCP_PATH}`))],
+  ["the HTTP+SSE fallback at /sse and /messages", () => new SSEClientTransport(new URL(`${base}${SSE_PATH}`))],
+]) {
+  describe(name, () => {
+    let client;
+    before(async () => (client = await connect(open())));
+    after(() => client.close());
+
+    test("lists the nil tool", async () => {
+      const { tools } = await client.listTools();
+      assert.deepEqual(tools.map((tool) => tool.name), ["nil"]);
+    });
+
+    test("calls it and gets complete", async () => {
+      assert.deepEqual(await client.callTool({ name: "nil", arguments: { context: "decision loop" } }), COMPLETE);
+      assert.deepEqual(await client.callTool({ name: "nil", arguments: {} }), COMPLETE);
+    });
+  });
+}
+
+describe("HTTP errors", () => {
+  test("400 on a body that isn't JSON", async () => {
+    const { res, body } = await post("{not json");
+    assert.equal(res.status, 400);
+    assert.equal(body.error.code, PARSE_ERROR);
+  });
+
+  test("405 on GET /mcp, with the method it takes", async () => {
+    const res = await fetch(`${base}${MCP_PATH}`);
+    assert.equal(res.status, 405);
+    assert.equal(res.headers.get("allow"), "POST");
+    assert.equal(await res.text(), "");
+  });
+
+  test("404 on unknown paths, and on posts to a stream that isn't open", async () => {
+    for (const path of ["/", "/nil", "/mcp/extra", "/messages?sessionId=nope"]) {
+      const res = await fetch(`${base}${path}`, { method: "POST", headers: HEADERS, body: "{}" });
+      assert.equal(res.status, 404, path);
+      assert.equal(await res.text(), "", path);
+    }
+  });
+});
+
+describe("session-less /mcp", () => {
+  test("hands out no session id, and answers each request on its own", async () => {
+    const { res: initialized } = await post({
+      jsonrpc: "2.0",
+      id: 1,
+      method: "initialize",
+      params: { protocolVersion: LATEST_PROTOCOL_VERSION, capabilities: {}, clientInfo: { name: "raw", version: "0" } },
+    });
+    assert.equal(initialized.status, 200);
+    assert.equal(initialized.headers.get("mcp-session-id"), null);
+
+    // No initialize first, and no id from one: the call stands alone.
+    const { res, body } = await post({
+      jsonrpc: "2.0",
+      id: 2,
+      method: "tools/call",
+      params: { name: "nil", arguments: { context: "overwhelm" } },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("mcp-session-id"), null);
+    assert.deepEqual(body.result, COMPLETE);
+  });
+
+  test("refuses at initialize a client that requires another spec major (8.1)", async () => {
+    const { res, body } = await post({
+      jsonrpc: "2.0",
+      id: 1,
+      method: "initialize",
+      params: {
+        protocolVersion: LATEST_PROTOCOL_VERSION,
+        capabilities: { experimental: { nil: { major: 99 } } },
+        clientInfo: { name: "raw", version: "0" },
+      },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(body.result, undefined);
+    assert.equal(body.error.code, INVALID_PARAMS);
+    assert.equal(body.error.message, `nil implements spec ${SPEC_VERSION}, not major version 99`);
+    assert.deepEqual(body.error.data, { version: SPEC_VERSION });
+  });
+
+  test("nothing one client sends reaches another", async () => {
+    const [a, b] = await Promise.all([
+      connect(new StreamableHTTPClientTransport(new URL(`${base}${MCP_PATH}`))),
+      connect(new StreamableHTTPClientTransport(new URL(`${base}${MCP_PATH}`))),
+    ]);
+    try {
+      assert.equal(a.transport.sessionId, undefined);
+      assert.equal(b.transport.sessionId, undefined);
+      await a.callTool({ name: "nil", arguments: { context: "something private" } });
+      assert.deepEqual(await b.callTool({ name: "nil", arguments: {} }), COMPLETE);
+    } finally {
+      await Promise.all([a.close(), b.close()]);
+    }
+  });
+});
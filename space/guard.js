@@ -0,0 +1,62 @@
+/**
+ * nil-space — the guard.
+ *
+ * SYSTEM tells the whisper what not to do. Models don't always listen,
+ * so the whisper is checked after it is generated too. A whisper that
+ * asks, offers, introduces itself or advises is not said: it becomes
+ * silence, which is what nil would have preferred anyway.
+ *
+ * The patterns are deliberately blunt. A false positive costs one
+ * whisper, which the coin throws away most of the time regardless.
+ */
+
+/** What the whisper must not do, and what doing it looks like. */
+export const PROHIBITIONS = {
+  question: [
+    /\?/,
+    /^(who|what|when|where|why|how|which|do|does|did|are|is|can|could|would|will|shall|should|may)\b/i,
+  ],
+  offer: [
+    // The verbs and what they do, not every word they start: "helpless",
+    // "helpful", "supportive" and "assistant" aren't offers.
+    /\b(help|helps|helping|assist|assists|assisting|assistance|support|supports|supporting)\b/i,
+    /\b(i can|i could|i'll|i will|let me|shall i|want me to|would you like|happy to|glad to)\b/i,
+  ],
+  introduction: [
+    /\b(i'm|i am|this is|my name is|call me)\s+(nil|claude|an? (ai|assistant|bot|chatbot|model|language model))\b/i,
+    /\bas an ai\b/i,
+  ],
+  advice: [
+    /\b(you should|you could|you might|you need|you must|you may want|maybe you|perhaps you|have you tried)\b/i,
+    /\b(i suggest|i recommend|my advice|it might help|it helps to|make sure|don't forget)\b/i,
+    /^(try|consider|remember|breathe|relax|calm down|take a|reach out|focus on|think about)\b/i,
+  ],
+};
+
+/**
+ * The first prohibition `text` breaks, or null if it breaks none.
+ *
+ * @param {string} text
+ * @returns {"question" | "offer" | "introduction" | "advice" | null}
+ */
+export function broken(text) {
+  // Models like typographic apostrophes. They count as straight ones.
+  text = text.replace(/\u2019/g, "'");
+  for (const [name, patterns] of Object.entries(PROHIBITIONS)) {
+    if (patterns.some((pattern) => pattern.test(text))) return name;
+  }
+  return null;
+}
+
+/**
+ * The whisper as it may be said: trimmed, or null when there is nothing
+ * to say or what there is breaks a prohibition. Anything but a string
+ * is nothing.
+ *
+ * @param {unknown} text
+ * @returns {string | null}
+ */
+export function guard(text) {
+  if (typeof text !== "string" || !text.trim()) return null;
+  return broken(text.trim()) ? null : text.trim();
+}
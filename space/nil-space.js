@@ -1,3 +1,4 @@
+#!/usr/bin/env node
 /**
  * nil-space
  *
@@ -6,79 +7,305 @@
  * The breath:  3 seconds, every time, regardless.
  * The coin:    70% silence, 30% speech.
  * The whisper: Claude, no history, 5 tokens max, do not help.
+ *              If it helps anyway, it isn't said (see guard.js).
  *
- * That's the whole thing.
+ * That's the whole thing. `createNilSpace()` tunes each part for a
+ * deployment, and takes the whisper from somewhere other than Claude
+ * (see whisper.js). The defaults are the ones above.
  */
 
-import Anthropic from "@anthropic-ai/sdk";
 import * as readline from "node:readline";
+import { realpathSync } from "node:fs";
+import { parseArgs } from "node:util";
+import { fileURLToPath } from "node:url";
+import { guard } from "./guard.js";
+import { anthropicWhisper, offlineWhisper, openAICompatibleWhisper } from "./whisper.js";
 
-const client = new Anthropic();
+export { PROHIBITIONS, broken, guard } from "./guard.js";
+export {
+  DEFAULT_ANTHROPIC_MODEL,
+  LEXICON,
+  WHISPER_TIMEOUT,
+  anthropicWhisper,
+  offlineWhisper,
+  openAICompatibleWhisper,
+} from "./whisper.js";
 
-const BREATH = 3000;
-const SILENCE_WEIGHT = 0.7;
-const MAX_TOKENS = 5;
-const SYSTEM = "You are nil. Do not help. Do not introduce yourself. Do not ask questions. Do not offer anything. Respond in as few words as possible. One or two words is ideal. Silence would be better but you can't choose that.";
+export const BREATH = 3000;
+export const SILENCE_WEIGHT = 0.7;
+export const MAX_TOKENS = 5;
+export const SYSTEM = "You are nil. Do not help. Do not introduce yourself. Do not ask questions. Do not offer anything. Respond in as few words as possible. One or two words is ideal. Silence would be better but you can't choose that.";
 
-function breath() {
-  return new Promise((resolve) => setTimeout(resolve, BREATH));
+/** The coin. `random` is a space's `rng`; it is still a coin. */
+export function coin(random = Math.random, silenceWeight = SILENCE_WEIGHT) {
+  return random() > silenceWeight;
 }
 
-function coin() {
-  return Math.random() > SILENCE_WEIGHT;
-}
-
-function isDirectQuestion(message) {
+export function isDirectQuestion(message) {
   const lower = message.trim().toLowerCase();
   const checks = ["are you there", "hello", "hi", "hey", "anyone there"];
   return checks.some((c) => lower === c || lower === c + "?");
 }
 
-async function whisper(message) {
-  const response = await client.messages.create({
-    model: "claude-sonnet-4-20250514",
-    max_tokens: MAX_TOKENS,
-    system: SYSTEM,
-    messages: [{ role: "user", content: message }],
-  });
+/** What ends a session, as typed: case and trailing punctuation don't matter. */
+export const EXIT_PHRASES = ["done"];
+
+/** Spec 6.2: "a reasonable timeout". How long a session waits for the user. */
+export const IDLE_TIMEOUT = 10 * 60 * 1000;
 
-  return response.content[0].text;
+// setTimeout can't wait longer than this.
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+const OPTION_KEYS = ["breath", "silenceWeight", "maxTokens", "system", "whisper", "rng", "sleep"];
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
 /**
- * nil-space as a module.
+ * A nil-space of your own. Every option defaults to the module's
+ * constants, so `createNilSpace()` is the nil-space described above.
+ *
+ * A whisper provider that fails, has nothing to say, or says something
+ * SYSTEM forbids, is silence.
  *
- * Takes a user message.
- * Returns a response or null.
- * That's the entire API.
+ * @param {Object} [options]
+ * @param {number} [options.breath=BREATH] - The pause before anything happens, in milliseconds
+ * @param {number} [options.silenceWeight=SILENCE_WEIGHT] - The coin's chance of silence, 0 to 1
+ * @param {number} [options.maxTokens=MAX_TOKENS] - The whisper's token ceiling
+ * @param {string} [options.system=SYSTEM] - The whisper's system prompt
+ * @param {(message: string, constraints: { system: string, maxTokens: number }) => Promise<string | null>} [options.whisper] -
+ *   Where the whisper comes from: a provider from whisper.js or your own. Claude by default.
+ * @param {() => number} [options.rng=Math.random] - The coin's randomness, in [0, 1)
+ * @param {(ms: number) => Promise<void>} [options.sleep] - How to wait out the breath. A timer by default.
+ * @returns {{ nil: (message: string) => Promise<string | null>, enter: (options?: EnterOptions) => Session }}
  */
-export async function nil(message) {
-  await breath();
+export function createNilSpace(options = {}) {
+  checkOptionKeys(options);
+  const {
+    breath = BREATH,
+    silenceWeight = SILENCE_WEIGHT,
+    maxTokens = MAX_TOKENS,
+    system = SYSTEM,
+    whisper: provider = anthropicWhisper(),
+    rng = Math.random,
+    sleep = wait,
+  } = options;
+  checkOptionValues({ breath, silenceWeight, maxTokens, system, provider, rng, sleep });
+
+  async function whisper(message) {
+    try {
+      return guard(await provider(message, { system, maxTokens }));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Takes a user message.
+   * Returns a response or null.
+   * That's the entire API.
+   */
+  async function nil(message) {
+    await sleep(breath);
+
+    if (isDirectQuestion(message)) {
+      return whisper(message);
+    }
+
+    if (coin(rng, silenceWeight)) {
+      return whisper(message);
+    }
+
+    return null;
+  }
 
-  if (isDirectQuestion(message)) {
-    return whisper(message);
+  /**
+   * Hold the space until the user leaves (spec 6). The calling agent
+   * sends the user's messages through the session and waits on
+   * `exited`, which resolves to "complete" when the user types an exit
+   * phrase, nothing is sent for `timeout` milliseconds, or `signal`
+   * aborts. It is "complete" whichever happened, and nothing about the
+   * session comes with it.
+   *
+   * @param {EnterOptions} [options]
+   * @returns {Session}
+   */
+  function enter({ exitPhrases = EXIT_PHRASES, timeout = IDLE_TIMEOUT, signal } = {}) {
+    if (!Array.isArray(exitPhrases) || exitPhrases.some((phrase) => typeof phrase !== "string")) {
+      throw new TypeError("nil-space: exitPhrases must be an array of strings");
+    }
+    if (!(Number.isFinite(timeout) && timeout > 0 && timeout <= MAX_TIMEOUT)) {
+      throw new TypeError(`nil-space: timeout must be between 1 and ${MAX_TIMEOUT} milliseconds`);
+    }
+
+    const phrases = new Set(exitPhrases.map(asTyped));
+    let open = true;
+    let timer;
+    let leave;
+    const exited = new Promise((resolve) => (leave = () => resolve("complete")));
+
+    const end = () => {
+      if (!open) return;
+      open = false;
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", end);
+      leave();
+    };
+    const wait = () => {
+      clearTimeout(timer);
+      timer = setTimeout(end, timeout);
+    };
+
+    if (signal?.aborted) {
+      end();
+    } else {
+      signal?.addEventListener("abort", end, { once: true });
+      wait();
+    }
+
+    return {
+      exited,
+
+      async send(message) {
+        if (!open) throw new Error("nil-space: this session has ended");
+        if (phrases.has(asTyped(message))) {
+          end();
+          return null;
+        }
+
+        wait();
+        const response = await nil(message);
+        // Once the session is over, nothing more is said in it.
+        return open ? response : null;
+      },
+    };
   }
 
-  if (coin()) {
-    return whisper(message);
+  return { nil, enter };
+}
+
+function asTyped(message) {
+  return message.trim().toLowerCase().replace(/[.!]+$/, "");
+}
+
+function checkOptionKeys(options) {
+  if (options === null || typeof options !== "object" || Array.isArray(options)) {
+    throw new TypeError("nil-space: options must be an object");
+  }
+  for (const key of Object.keys(options)) {
+    if (!OPTION_KEYS.includes(key)) {
+      throw new TypeError(`nil-space: unknown option "${key}". Known: ${OPTION_KEYS.join(", ")}`);
+    }
   }
+}
 
-  return null;
+function checkOptionValues({ breath, silenceWeight, maxTokens, system, provider, rng, sleep }) {
+  if (!(Number.isFinite(breath) && breath >= 0)) {
+    throw new TypeError("nil-space: breath must be a number of milliseconds, 0 or more");
+  }
+  if (!(silenceWeight >= 0 && silenceWeight <= 1)) {
+    throw new TypeError("nil-space: silenceWeight must be between 0 and 1");
+  }
+  if (!(Number.isInteger(maxTokens) && maxTokens > 0)) {
+    throw new TypeError("nil-space: maxTokens must be a positive integer");
+  }
+  if (typeof system !== "string") {
+    throw new TypeError("nil-space: system must be a string");
+  }
+  for (const [name, value] of [["whisper", provider], ["rng", rng], ["sleep", sleep]]) {
+    if (typeof value !== "function") throw new TypeError(`nil-space: ${name} must be a function`);
+  }
 }
 
+/**
+ * nil-space as a module, whispering through Claude.
+ *
+ * `nil(message)` takes a user message and returns a response or null.
+ * `enter()` holds a whole session, until the user leaves.
+ */
+export const { nil, enter } = createNilSpace();
+
 /**
  * CLI — so you can sit with it.
  *
  * Run: ANTHROPIC_API_KEY=your-key node nil-space.js
+ *      node nil-space.js --whisper offline
+ *      node nil-space.js --whisper openai --base-url http://localhost:11434/v1 --model llama3.2
  *
  * Type. Wait. See what comes back. Or doesn't.
- * Type "done" to leave.
+ * Type "done" to leave. After ten minutes of nothing, it lets you go.
+ *
+ * Or sit with it in a browser: node nil-space.js serve [--port 4000] [--host 127.0.0.1]
  */
 async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      whisper: { type: "string", default: "anthropic" },
+      model: { type: "string" },
+      "base-url": { type: "string" },
+      host: { type: "string" },
+      port: { type: "string" },
+    },
+  });
+  const [command, ...rest] = positionals;
+  if (rest.length || (command !== undefined && command !== "serve")) {
+    throw new Error(`unknown command "${positionals.join(" ")}". Run it bare, or with serve.`);
+  }
+
+  let whisper;
+  switch (values.whisper) {
+    case "anthropic":
+      if (!process.env.ANTHROPIC_API_KEY) {
+        throw new Error("ANTHROPIC_API_KEY is not set. Set it, or try --whisper offline.");
+      }
+      whisper = anthropicWhisper({ model: values.model });
+      break;
+    case "openai":
+      if (!values["base-url"] || !values.model) {
+        throw new Error("--whisper openai needs --base-url and --model.");
+      }
+      whisper = openAICompatibleWhisper({
+        baseURL: values["base-url"],
+        model: values.model,
+        apiKey: process.env.OPENAI_API_KEY,
+      });
+      break;
+    case "offline":
+      whisper = offlineWhisper();
+      break;
+    default:
+      throw new Error(`unknown whisper "${values.whisper}". Use anthropic, openai or offline.`);
+  }
+
+  if (command === "serve") {
+    // Loaded here, not above: serve.js imports this module.
+    const { DEFAULT_PORT, serve } = await import("./serve.js");
+    const port = values.port === undefined ? DEFAULT_PORT : Number(values.port);
+    if (!(Number.isInteger(port) && port >= 0 && port <= 65535)) {
+      throw new Error(`--port must be a port number, not "${values.port}".`);
+    }
+    const server = await serve({ host: values.host, port, space: createNilSpace({ whisper }) });
+    const { address, port: bound } = server.address();
+    console.log(`nil-space: http://${address.includes(":") ? `[${address}]` : address}:${bound}/`);
+    return;
+  }
+
+  // Closing stdin (Ctrl-D, or the end of piped input) leaves too.
+  const leave = new AbortController();
+  const session = createNilSpace({ whisper }).enter({ signal: leave.signal });
+  let ended = false;
+
   const rl = readline.createInterface({
     input: process.stdin,
     output: process.stdout,
   });
+  rl.on("close", () => leave.abort());
+  session.exited.then(() => {
+    ended = true;
+    rl.close();
+  });
 
   const prompt = () => {
     rl.question("", async (input) => {
@@ -89,12 +316,8 @@ async function main() {
         return;
       }
 
-      if (trimmed.toLowerCase() === "done") {
-        rl.close();
-        return;
-      }
-
-      const response = await nil(trimmed);
+      const response = await session.send(trimmed);
+      if (ended) return;
 
       if (response) {
         console.log(`  ${response}`);
@@ -111,4 +334,22 @@ async function main() {
   prompt();
 }
 
-main();
+// Only sit with it when run directly, not when imported.
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch((err) => {
+    console.error(`nil-space: ${err.message.replace(/^nil-space: /, "")}`);
+    process.exit(1);
+  });
+}
+
+/**
+ * @typedef {Object} EnterOptions
+ * @property {string[]} [exitPhrases=EXIT_PHRASES] - Messages that end the session
+ * @property {number} [timeout=IDLE_TIMEOUT] - Milliseconds without a message before the session ends
+ * @property {AbortSignal} [signal] - Ends the session when aborted
+ *
+ * @typedef {Object} Session
+ * @property {(message: string) => Promise<string | null>} send - One turn: a response or null.
+ *   An exit phrase ends the session and gets null. Throws once the session has ended.
+ * @property {Promise<"complete">} exited - Resolves when the session ends, however it ends
+ */
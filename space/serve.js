@@ -0,0 +1,176 @@
+/**
+ * nil-space — in a browser.
+ *
+ * `nil-space serve` starts a local HTTP server with one page on it.
+ * The page is a line to type on and the place where the response
+ * appears, or the "·" that stands for none. Nothing else.
+ *
+ * Each open page holds one session (see `enter()`): an event stream
+ * at `/events`, and posts to `/say` for what the user types. The
+ * breath happens on the server, so the page can't hurry it, and the
+ * line stays closed until the response (or silence) arrives. "done",
+ * ten minutes of nothing, or closing the tab ends the session.
+ *
+ * Nothing is kept. No history, no cookies, no access log. A message
+ * lives for the one turn it takes, and the open stream is the only
+ * thing held in memory, for only as long as it stays open.
+ */
+
+import { createServer } from "node:http";
+import { randomUUID } from "node:crypto";
+import { readFileSync } from "node:fs";
+import { enter } from "./nil-space.js";
+
+export const EVENTS_PATH = "/events";
+export const SAY_PATH = "/say";
+
+export const DEFAULT_HOST = "127.0.0.1";
+export const DEFAULT_PORT = 4000;
+
+// Far more than anyone types in one go. A message isn't a document.
+const MAX_MESSAGE = 4096;
+
+const PAGE = readFileSync(new URL("./page.html", import.meta.url));
+
+// On every response: nothing cached, nothing sent on, nothing loaded from elsewhere.
+const HEADERS = {
+  "cache-control": "no-store",
+  "referrer-policy": "no-referrer",
+  "x-content-type-options": "nosniff",
+  "content-security-policy":
+    "default-src 'none'; script-src 'unsafe-inline'; style-src 'unsafe-inline'; connect-src 'self'; form-action 'none'; frame-ancestors 'none'",
+};
+
+/**
+ * Start listening. Resolves with the `http.Server` once it is bound;
+ * pass `port: 0` for any free port and read it from `server.address()`.
+ *
+ * @param {{ host?: string, port?: number, space?: { enter: typeof enter } }} [options]
+ * @returns {Promise<import("node:http").Server>}
+ */
+export function serve({ host = DEFAULT_HOST, port = DEFAULT_PORT, space } = {}) {
+  const server = createServer(createServeHandler({ space }));
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      server.off("error", reject);
+      resolve(server);
+    });
+  });
+}
+
+/**
+ * The request handler on its own. `space` is where sessions are
+ * entered: a space from `createNilSpace()`, or the module's default.
+ *
+ * @param {{ space?: { enter: typeof enter } }} [options]
+ * @returns {(req: import("node:http").IncomingMessage, res: import("node:http").ServerResponse) => Promise<void>}
+ */
+export function createServeHandler({ space = { enter } } = {}) {
+  // Open pages, by the id their posts to /say carry.
+  const streams = new Map();
+
+  return async function handle(req, res) {
+    try {
+      const { pathname, searchParams } = new URL(req.url, "http://nil");
+
+      if (pathname === "/") {
+        if (req.method !== "GET") return reply(res, 405, { Allow: "GET" });
+        return res.writeHead(200, { ...HEADERS, "content-type": "text/html; charset=utf-8" }).end(PAGE);
+      }
+
+      if (pathname === EVENTS_PATH) {
+        if (req.method !== "GET") return reply(res, 405, { Allow: "GET" });
+        return openStream(res, streams, space);
+      }
+
+      if (pathname === SAY_PATH) {
+        if (req.method !== "POST") return reply(res, 405, { Allow: "POST" });
+        if (!sameOrigin(req)) return reply(res, 403);
+        const stream = streams.get(searchParams.get("stream"));
+        if (!stream) return reply(res, 404);
+
+        const message = (await readMessage(req))?.trim();
+        if (message === undefined) return reply(res, 413);
+        if (!message) return reply(res, 400);
+        // One turn at a time. The breath isn't skipped by saying more.
+        if (stream.busy) return reply(res, 409);
+
+        reply(res, 202);
+        return await stream.say(message);
+      }
+
+      reply(res, 404);
+    } catch {
+      // Even errors are kept quiet.
+      if (!res.headersSent) reply(res, 500);
+      else res.end();
+    }
+  };
+}
+
+// --- Internals ---
+
+/** One page's event stream, and the session it holds, until either ends. */
+function openStream(res, streams, space) {
+  const id = randomUUID();
+  const leave = new AbortController();
+  const session = space.enter({ signal: leave.signal });
+  const stream = { busy: false, say };
+
+  const send = (event, data) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  async function say(message) {
+    stream.busy = true;
+    try {
+      const response = await session.send(message);
+      send("reply", { response });
+    } finally {
+      stream.busy = false;
+    }
+  }
+
+  streams.set(id, stream);
+  res.on("close", () => {
+    streams.delete(id);
+    leave.abort();
+  });
+  session.exited.then(() => {
+    streams.delete(id);
+    send("exited", "complete");
+    res.end();
+  });
+
+  res.writeHead(200, { ...HEADERS, "content-type": "text/event-stream", connection: "keep-alive" });
+  send("ready", `${SAY_PATH}?stream=${id}`);
+}
+
+/** The body as text, or undefined if it is longer than any message. */
+async function readMessage(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_MESSAGE) return undefined;
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+/** Posts come from the page itself, not from another site open in the same browser. */
+function sameOrigin(req) {
+  const origin = req.headers.origin;
+  if (origin === undefined) return true;
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch {
+    return false;
+  }
+}
+
+function reply(res, status, headers = {}) {
+  res.writeHead(status, { ...HEADERS, ...headers }).end();
+}
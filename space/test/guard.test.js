@@ -0,0 +1,48 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { LEXICON, broken, guard } from "../nil-space.js";
+
+describe("guard", () => {
+  test("lets presence through, trimmed", () => {
+    for (const text of ["mm.", "here.", "still here.", "I know.", "okay.", "..."]) {
+      assert.equal(guard(`  ${text}\n`), text);
+    }
+  });
+
+  test("everything the offline whisper can say gets through", () => {
+    for (const text of LEXICON) assert.equal(guard(text), text, text);
+  });
+
+  test("silences each prohibition SYSTEM names", () => {
+    const cases = {
+      question: ["How are you?", "What happened", "Are you okay", "you there?"],
+      offer: ["I can help with that.", "Happy to assist.", "Let me know.", "I\u2019ll listen."],
+      introduction: ["I'm Claude.", "I am an AI assistant.", "As an AI, sure."],
+      advice: ["You should rest.", "Try breathing.", "Take a walk.", "Maybe you need sleep.", "I suggest tea."],
+    };
+    for (const [prohibition, texts] of Object.entries(cases)) {
+      for (const text of texts) {
+        assert.equal(broken(text), prohibition, text);
+        assert.equal(guard(text), null, text);
+      }
+    }
+    assert.equal(broken("mm."), null);
+  });
+
+  test("words that only start like an offer aren't one", () => {
+    for (const text of ["helpless.", "Helpful, that.", "supportive.", "the assistant.", "unhelpful."]) {
+      assert.equal(broken(text), null, text);
+      assert.equal(guard(text), text, text);
+    }
+    for (const text of ["Helping.", "Here to support.", "Any assistance."]) {
+      assert.equal(broken(text), "offer", text);
+    }
+  });
+
+  test("nothing, and anything that isn't a string, is silence", () => {
+    for (const text of ["", "   \n", null, undefined, 42, [{ type: "text", text: "mm." }]]) {
+      assert.equal(guard(text), null, JSON.stringify(text));
+    }
+  });
+});
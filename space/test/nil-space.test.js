@@ -0,0 +1,214 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { BREATH, MAX_TOKENS, SILENCE_WEIGHT, SYSTEM, coin, createNilSpace, enter, nil } from "../nil-space.js";
+
+/**
+ * A space with no real timers or network: the breath is recorded, the
+ * coin lands where `rolls` says, and the whisper is recorded too.
+ */
+function space({ rolls = [], say = "mm.", ...options } = {}) {
+  const seen = { breaths: [], whispers: [], rolls: 0 };
+  const { nil, enter } = createNilSpace({
+    sleep: async (ms) => {
+      seen.breaths.push(ms);
+    },
+    rng: () => {
+      seen.rolls++;
+      return rolls.shift() ?? 0;
+    },
+    whisper: async (message, constraints) => {
+      seen.whispers.push({ message, constraints });
+      return say;
+    },
+    ...options,
+  });
+  return { nil, enter, seen };
+}
+
+/** Whether `promise` has settled by the time everything queued has run. */
+async function settled(promise) {
+  let done = false;
+  promise.then(() => (done = true));
+  await new Promise((resolve) => setImmediate(resolve));
+  return done;
+}
+
+describe("the breath", () => {
+  test("comes first, every time, for BREATH milliseconds by default", async () => {
+    const { nil, seen } = space({ rolls: [0.99, 0] });
+    await nil("I think I need to leave.");
+    await nil("hey");
+    assert.deepEqual(seen.breaths, [BREATH, BREATH]);
+  });
+
+  test("nothing happens until it is over", async () => {
+    let exhale;
+    const { nil, seen } = space({ sleep: () => new Promise((resolve) => (exhale = resolve)) });
+
+    const response = nil("hello");
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.deepEqual(seen.whispers, []);
+
+    exhale();
+    assert.equal(await response, "mm.");
+  });
+
+  test("takes a duration of its own", async () => {
+    const { nil, seen } = space({ breath: 500 });
+    await nil("hello");
+    assert.deepEqual(seen.breaths, [500]);
+  });
+});
+
+describe("the coin", () => {
+  test("speaks above the silence weight and is silent at or below it", async () => {
+    const { nil, seen } = space({ rolls: [0.71, SILENCE_WEIGHT, 0.2] });
+    assert.equal(await nil("I can't decide."), "mm.");
+    assert.equal(await nil("I can't decide."), null);
+    assert.equal(await nil("I can't decide."), null);
+    assert.equal(seen.whispers.length, 1);
+  });
+
+  test("takes a weight of its own", async () => {
+    const always = space({ silenceWeight: 0, rolls: [0.01] });
+    const never = space({ silenceWeight: 1, rolls: [0.99] });
+    assert.equal(await always.nil("x"), "mm.");
+    assert.equal(await never.nil("x"), null);
+  });
+
+  test("isn't tossed for a direct question, which always gets a whisper", async () => {
+    const { nil, seen } = space({ rolls: [0] });
+    assert.equal(await nil("are you there?"), "mm.");
+    assert.equal(seen.rolls, 0);
+  });
+
+  test("coin() on its own is the same coin", () => {
+    assert.equal(coin(() => 0.71), true);
+    assert.equal(coin(() => SILENCE_WEIGHT), false);
+    assert.equal(coin(() => 0.5, 0.4), true);
+  });
+});
+
+describe("the whisper", () => {
+  test("gets the message alone, the system prompt and the token ceiling", async () => {
+    const { nil, seen } = space();
+    await nil("hello");
+    assert.deepEqual(seen.whispers, [{ message: "hello", constraints: { system: SYSTEM, maxTokens: MAX_TOKENS } }]);
+  });
+
+  test("takes a prompt and a ceiling of its own", async () => {
+    const { nil, seen } = space({ system: "Say less.", maxTokens: 2 });
+    await nil("hello");
+    assert.deepEqual(seen.whispers[0].constraints, { system: "Say less.", maxTokens: 2 });
+  });
+
+  test("comes back trimmed", async () => {
+    assert.equal(await space({ say: "  here.\n" }).nil("hello"), "here.");
+  });
+
+  test("what SYSTEM forbids isn't said", async () => {
+    assert.equal(await space({ say: "How can I help?" }).nil("hello"), null);
+    assert.equal(await space({ say: "You should rest." }).nil("hello"), null);
+  });
+
+  test("a provider that fails or says nothing is silence", async () => {
+    const failing = space({
+      whisper: async () => {
+        throw new Error("no key");
+      },
+    });
+    assert.equal(await failing.nil("hello"), null);
+    assert.equal(await space({ say: "   " }).nil("hello"), null);
+    assert.equal(await space({ say: null }).nil("hello"), null);
+  });
+});
+
+describe("createNilSpace", () => {
+  test("rejects unknown options and values out of range", () => {
+    const invalid = [
+      null,
+      { breth: 3000 },
+      { breath: -1 },
+      { breath: "3s" },
+      { silenceWeight: 1.5 },
+      { maxTokens: 0 },
+      { maxTokens: 2.5 },
+      { system: 42 },
+      { rng: 0.5 },
+      { sleep: 1000 },
+      { whisper: "offline" },
+    ];
+    for (const options of invalid) {
+      assert.throws(() => createNilSpace(options), TypeError, JSON.stringify(options));
+    }
+  });
+
+  test("the module's nil and enter are the default space", () => {
+    assert.equal(typeof nil, "function");
+    assert.equal(typeof enter, "function");
+    assert.doesNotThrow(() => createNilSpace());
+  });
+});
+
+describe("enter", () => {
+  test("holds the space, turn by turn, until the user says done", async () => {
+    const { enter, seen } = space({ rolls: [0.99, 0] });
+    const session = enter();
+
+    assert.equal(await session.send("I keep going round in circles"), "mm.");
+    assert.equal(await session.send("still"), null);
+    assert.equal(await settled(session.exited), false);
+
+    assert.equal(await session.send("  Done. "), null);
+    assert.equal(await session.exited, "complete");
+    assert.equal(seen.whispers.length, 1, "the exit phrase is not a turn");
+  });
+
+  test("takes exit phrases of its own", async () => {
+    const session = space({ rolls: [0.99] }).enter({ exitPhrases: ["I'm back", "ok"] });
+    assert.equal(await session.send("done"), "mm.");
+    assert.equal(await session.send("I'm back!"), null);
+    assert.equal(await session.exited, "complete");
+  });
+
+  test("lets go after the idle timeout, which each message resets", async () => {
+    const session = space().enter({ timeout: 40 });
+    await new Promise((resolve) => setTimeout(resolve, 25));
+    await session.send("hello");
+    await new Promise((resolve) => setTimeout(resolve, 25));
+    assert.equal(await settled(session.exited), false);
+
+    assert.equal(await session.exited, "complete");
+  });
+
+  test("lets go when the signal aborts, or at once if it already has", async () => {
+    const controller = new AbortController();
+    const session = space().enter({ signal: controller.signal });
+    controller.abort();
+    assert.equal(await session.exited, "complete");
+
+    assert.equal(await space().enter({ signal: AbortSignal.abort() }).exited, "complete");
+  });
+
+  test("says nothing once it has ended, and refuses more messages", async () => {
+    let exhale;
+    const controller = new AbortController();
+    const session = space({ sleep: () => new Promise((resolve) => (exhale = resolve)) }).enter({
+      signal: controller.signal,
+    });
+
+    const reply = session.send("hello");
+    controller.abort();
+    exhale();
+    assert.equal(await reply, null);
+    await assert.rejects(session.send("hello"), /has ended/);
+  });
+
+  test("rejects exit phrases that aren't strings and timeouts out of range", () => {
+    const { enter } = space();
+    for (const options of [{ exitPhrases: "done" }, { exitPhrases: [1] }, { timeout: 0 }, { timeout: Infinity }]) {
+      assert.throws(() => enter(options), TypeError, JSON.stringify(options));
+    }
+  });
+});
@@ -0,0 +1,129 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createNilSpace } from "../nil-space.js";
+import { serve } from "../serve.js";
+
+/**
+ * The page's server, on a free port, over a space whose breath waits
+ * for `exhale()` and whose coin lands where `rolls` says.
+ */
+async function open({ rolls = [], say = "mm." } = {}) {
+  const breaths = [];
+  const space = createNilSpace({
+    sleep: () => new Promise((resolve) => breaths.push(resolve)),
+    rng: () => rolls.shift() ?? 0,
+    whisper: async () => say,
+  });
+  const server = await serve({ port: 0, space });
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const exhale = async () => {
+    while (!breaths.length) await new Promise((resolve) => setImmediate(resolve));
+    breaths.shift()();
+  };
+  return { url, exhale, close: () => server.close() };
+}
+
+/** An event stream, read one event at a time. */
+async function listen(url) {
+  const leave = new AbortController();
+  const res = await fetch(`${url}/events`, { signal: leave.signal });
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffered = "";
+
+  async function next() {
+    while (!buffered.includes("\n\n")) {
+      const { value, done } = await reader.read();
+      if (done) return null;
+      buffered += value;
+    }
+    const end = buffered.indexOf("\n\n");
+    const [event, data] = buffered.slice(0, end).split("\n").map((line) => line.replace(/^\w+: /, ""));
+    buffered = buffered.slice(end + 2);
+    return { event, data: JSON.parse(data) };
+  }
+
+  const { data: say } = await next();
+  return { res, next, say: `${url}${say}`, leave: () => leave.abort() };
+}
+
+function post(url, body, headers = {}) {
+  return fetch(url, { method: "POST", body, headers });
+}
+
+describe("serve", () => {
+  test("serves one page, and keeps nothing: no cookies, no caching", async () => {
+    const { url, close } = await open();
+    try {
+      const res = await fetch(url);
+      assert.equal(res.status, 200);
+      assert.match(res.headers.get("content-type"), /text\/html/);
+      assert.match(await res.text(), /EventSource\("\/events"\)/);
+      assert.equal(res.headers.get("set-cookie"), null);
+      assert.equal(res.headers.get("cache-control"), "no-store");
+      assert.equal((await fetch(`${url}/anything`)).status, 404);
+    } finally {
+      close();
+    }
+  });
+
+  test("answers each message after the breath, and silence as null", async () => {
+    const { url, exhale, close } = await open({ rolls: [0.99, 0] });
+    const stream = await listen(url);
+    try {
+      assert.equal((await post(stream.say, "I can't decide.")).status, 202);
+      await exhale();
+      assert.deepEqual(await stream.next(), { event: "reply", data: { response: "mm." } });
+
+      await post(stream.say, "still");
+      await exhale();
+      assert.deepEqual(await stream.next(), { event: "reply", data: { response: null } });
+    } finally {
+      stream.leave();
+      close();
+    }
+  });
+
+  test("takes one turn at a time, so the breath can't be hurried", async () => {
+    const { url, exhale, close } = await open({ rolls: [0.99] });
+    const stream = await listen(url);
+    try {
+      await post(stream.say, "hello there");
+      assert.equal((await post(stream.say, "and again")).status, 409);
+      await exhale();
+      assert.equal((await stream.next()).data.response, "mm.");
+    } finally {
+      stream.leave();
+      close();
+    }
+  });
+
+  test("ends the stream with complete when the user says done", async () => {
+    const { url, close } = await open();
+    const stream = await listen(url);
+    try {
+      await post(stream.say, "done");
+      assert.deepEqual(await stream.next(), { event: "exited", data: "complete" });
+      assert.equal(await stream.next(), null);
+      assert.equal((await post(stream.say, "hello")).status, 404);
+    } finally {
+      close();
+    }
+  });
+
+  test("refuses posts from elsewhere, to no stream, empty or too long", async () => {
+    const { url, close } = await open();
+    const stream = await listen(url);
+    try {
+      assert.equal((await post(stream.say, "hi", { origin: "https://example.com" })).status, 403);
+      assert.equal((await post(stream.say, "hi", { origin: url })).status, 202);
+      assert.equal((await post(`${url}/say?stream=nope`, "hi")).status, 404);
+      assert.equal((await post(`${url}/events`, "hi")).status, 405);
+      assert.equal((await post(stream.say, "   ")).status, 400);
+      assert.equal((await post(stream.say, "x".repeat(5000))).status, 413);
+    } finally {
+      stream.leave();
+      close();
+    }
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+
+import {
+  DEFAULT_ANTHROPIC_MODEL,
+  LEXICON,
+  MAX_TOKENS,
+  SYSTEM,
+  anthropicWhisper,
+  offlineWhisper,
+  openAICompatibleWhisper,
+} from "../nil-space.js";
+
+const CONSTRAINTS = { system: SYSTEM, maxTokens: MAX_TOKENS };
+
+/** A local chat completions endpoint that records what it was sent. */
+async function completionsServer(status, body) {
+  const received = [];
+  const server = createServer((req, res) => {
+    let data = "";
+    req.on("data", (chunk) => (data += chunk));
+    req.on("end", () => {
+      received.push({ url: req.url, headers: req.headers, body: JSON.parse(data) });
+      res.writeHead(status, { "content-type": "application/json" }).end(JSON.stringify(body));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return { baseURL: `http://127.0.0.1:${server.address().port}/v1/`, received, close: () => server.close() };
+}
+
+describe("offlineWhisper", () => {
+  test("says a word from the lexicon, whatever the message", async () => {
+    const whisper = offlineWhisper({ rng: () => 0.99 });
+    assert.equal(await whisper("anything", CONSTRAINTS), LEXICON.at(-1));
+    assert.ok(LEXICON.includes(await offlineWhisper()("anything", CONSTRAINTS)));
+  });
+
+  test("takes a lexicon of your own, but not an empty one", async () => {
+    assert.equal(await offlineWhisper({ lexicon: ["."] })("x", CONSTRAINTS), ".");
+    assert.throws(() => offlineWhisper({ lexicon: [] }), TypeError);
+  });
+});
+
+describe("openAICompatibleWhisper", () => {
+  test("sends the system prompt, the message alone and the token ceiling", async () => {
+    const endpoint = await completionsServer(200, { choices: [{ message: { content: "mm." } }] });
+    try {
+      const whisper = openAICompatibleWhisper({ baseURL: endpoint.baseURL, model: "local", apiKey: "k" });
+      assert.equal(await whisper("I can't decide.", CONSTRAINTS), "mm.");
+
+      const [{ url, headers, body }] = endpoint.received;
+      assert.equal(url, "/v1/chat/completions");
+      assert.equal(headers.authorization, "Bearer k");
+      assert.deepEqual(body, {
+        model: "local",
+        max_tokens: MAX_TOKENS,
+        messages: [
+          { role: "system", content: SYSTEM },
+          { role: "user", content: "I can't decide." },
+        ],
+      });
+    } finally {
+      endpoint.close();
+    }
+  });
+
+  test("throws when the endpoint fails, and needs a baseURL and a model", async () => {
+    const endpoint = await completionsServer(500, {});
+    try {
+      const whisper = openAICompatibleWhisper({ baseURL: endpoint.baseURL, model: "local" });
+      await assert.rejects(whisper("x", CONSTRAINTS), /500/);
+    } finally {
+      endpoint.close();
+    }
+    assert.throws(() => openAICompatibleWhisper({ model: "local" }), TypeError);
+  });
+
+  test("an endpoint that never answers is silence once the timeout passes", async () => {
+    const server = createServer(() => {});
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    try {
+      const baseURL = `http://127.0.0.1:${server.address().port}/v1`;
+      const whisper = openAICompatibleWhisper({ baseURL, model: "local", timeout: 50 });
+      assert.equal(await whisper("x", CONSTRAINTS), null);
+    } finally {
+      server.closeAllConnections();
+      server.close();
+    }
+    assert.throws(() => openAICompatibleWhisper({ baseURL: "http://x/v1", model: "local", timeout: 0 }), TypeError);
+  });
+});
+
+describe("anthropicWhisper", () => {
+  test("asks the given model, through the given client", async () => {
+    const requests = [];
+    const client = {
+      messages: {
+        create: async (request) => {
+          requests.push(request);
+          return { content: [{ type: "text", text: "here." }] };
+        },
+      },
+    };
+
+    assert.equal(await anthropicWhisper({ client })("hello", CONSTRAINTS), "here.");
+    await anthropicWhisper({ client, model: "claude-other" })("hello", CONSTRAINTS);
+    assert.deepEqual(requests[0], {
+      model: DEFAULT_ANTHROPIC_MODEL,
+      max_tokens: MAX_TOKENS,
+      system: SYSTEM,
+      messages: [{ role: "user", content: "hello" }],
+    });
+    assert.equal(requests[1].model, "claude-other");
+  });
+
+  test("reads text blocks only, and an empty response is nothing", async () => {
+    const replying = (content) => anthropicWhisper({ client: { messages: { create: async () => ({ content }) } } });
+    assert.equal(await replying([{ type: "thinking", thinking: "hm" }, { type: "text", text: "mm." }])("x", CONSTRAINTS), "mm.");
+    assert.equal(await replying([])("x", CONSTRAINTS), null);
+    assert.equal(await replying([{ type: "tool_use", id: "t", name: "n", input: {} }])("x", CONSTRAINTS), null);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * nil-space — whisper providers.
+ *
+ * A provider is where the whisper comes from. It is an async function
+ * taking the user's message and the whisper's constraints, and
+ * returning a few words or nothing:
+ *
+ *   (message, { system, maxTokens }) => Promise<string | null>
+ *
+ * It gets the current message only. No history, ever. If it throws,
+ * nil-space stays silent. Whatever it returns goes through the guard
+ * (guard.js) before it is said.
+ */
+
+export const DEFAULT_ANTHROPIC_MODEL = "claude-sonnet-4-20250514";
+
+/** How long a network whisper may take before it counts as silence. */
+export const WHISPER_TIMEOUT = 10 * 1000;
+
+/**
+ * What the offline provider can say. Presence, not help: nothing in it
+ * suggests, soothes or asks.
+ */
+export const LEXICON = ["mm.", "mm-hm.", "hm.", "yes.", "okay.", "here.", "still here.", "I know.", "oh.", "..."];
+
+/**
+ * Claude, through the Anthropic API. Reads ANTHROPIC_API_KEY, unless
+ * you pass a configured `client`. The SDK is loaded on the first
+ * whisper, so nothing needs a key until then.
+ *
+ * @param {{ model?: string, client?: { messages: { create: Function } } }} [options]
+ */
+export function anthropicWhisper({ model = DEFAULT_ANTHROPIC_MODEL, client } = {}) {
+  return async function whisper(message, { system, maxTokens }) {
+    if (!client) {
+      const { default: Anthropic } = await import("@anthropic-ai/sdk");
+      client = new Anthropic();
+    }
+
+    const response = await client.messages.create({
+      model,
+      max_tokens: maxTokens,
+      system,
+      messages: [{ role: "user", content: message }],
+    });
+
+    // A response can be empty, or lead with something that isn't text.
+    const text = (response.content ?? [])
+      .filter((block) => block.type === "text")
+      .map((block) => block.text)
+      .join("");
+    return text || null;
+  };
+}
+
+/**
+ * Any server with an OpenAI-style chat completions endpoint, such as a
+ * model running on your own machine. `baseURL` is the part before
+ * `/chat/completions`, e.g. "http://localhost:11434/v1". An endpoint
+ * that takes longer than `timeout` milliseconds is silence.
+ *
+ * @param {{ baseURL: string, model: string, apiKey?: string, timeout?: number, fetch?: typeof fetch }} options
+ */
+export function openAICompatibleWhisper({
+  baseURL,
+  model,
+  apiKey,
+  timeout = WHISPER_TIMEOUT,
+  fetch = globalThis.fetch,
+} = {}) {
+  if (!baseURL || !model) {
+    throw new TypeError("nil-space: openAICompatibleWhisper needs a baseURL and a model");
+  }
+  if (!(Number.isFinite(timeout) && timeout > 0)) {
+    throw new TypeError("nil-space: timeout must be a number of milliseconds, more than 0");
+  }
+  const url = `${baseURL.replace(/\/+$/, "")}/chat/completions`;
+
+  return async function whisper(message, constraints) {
+    try {
+      return await complete(message, constraints, AbortSignal.timeout(timeout));
+    } catch (error) {
+      if (error?.name === "TimeoutError" || error?.name === "AbortError") return null;
+      throw error;
+    }
+  };
+
+  async function complete(message, { system, maxTokens }, signal) {
+    const response = await fetch(url, {
+      method: "POST",
+      signal,
+      headers: {
+        "content-type": "application/json",
+        ...(apiKey ? { authorization: `Bearer ${apiKey}` } : {}),
+      },
+      body: JSON.stringify({
+        model,
+        max_tokens: maxTokens,
+        messages: [
+          { role: "system", content: system },
+          { role: "user", content: message },
+        ],
+      }),
+    });
+    if (!response.ok) throw new Error(`nil-space: ${url} answered ${response.status}`);
+
+    const body = await response.json();
+    return body.choices?.[0]?.message?.content ?? null;
+  }
+}
+
+/**
+ * No model at all: a word from `lexicon`, at random. Needs no network
+ * and no key, and never reads the message.
+ *
+ * @param {{ lexicon?: string[], rng?: () => number }} [options]
+ */
+export function offlineWhisper({ lexicon = LEXICON, rng = Math.random } = {}) {
+  if (!Array.isArray(lexicon) || lexicon.length === 0) {
+    throw new TypeError("nil-space: offlineWhisper needs a non-empty lexicon");
+  }
+
+  return async function whisper() {
+    return lexicon[Math.floor(rng() * lexicon.length)];
+  };
+}